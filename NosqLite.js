@@ -1,550 +1,5411 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const zlib = require('zlib');
+
+// Index definitions and other collection metadata live next to the data file
+const META_SUFFIX = '.meta.json';
+
+// Data file extension per storage engine: a JSON array, or an operation log with one record per line
+const STORAGE_EXTENSIONS = { json: '.json', log: '.ndjson' };
+
+// The log is compacted once it holds this many records and twice as many as live documents
+const COMPACT_MIN_RECORDS = 1000;
+
+// Journal of multi-file commits, replayed on startup after a crash
+const JOURNAL_FILE = 'nosqlite.journal';
+
+// Prefix of the database's own files (the journal and its lock); no collection name may use it
+const RESERVED_NAME_PREFIX = 'nosqlite.';
+
+// Makes temporary file names unique when sync and async writes overlap
+let tempFileCounter = 0;
+
+// Lock files serialize writers across processes sharing a database directory
+const LOCK_SUFFIX = '.lock';
+const LOCK_RETRY_MS = 10;
+
+// A lock older than this is considered abandoned even if its owner pid is alive (pid reuse)
+const STALE_LOCK_MS = 30000;
 
 /**
- * NoSQLite - A lightweight NoSQL database similar to MongoDB
- * Supports collections, documents, queries, indexing, and persistence
+ * Temporary path next to a file, unique per process and write
+ * @private
  */
-class NoSQLite {
-  constructor(dbPath = './nosqlite_db') {
-    this.dbPath = path.resolve(dbPath);
-    this.collections = new Map();
-    this.indexes = new Map(); // Store indexes per collection
-    
-    // Ensure database directory exists
-    if (!fs.existsSync(this.dbPath)) {
-      fs.mkdirSync(this.dbPath, { recursive: true });
+function tempPathFor(filePath) {
+  return `${filePath}.${process.pid}.${tempFileCounter++}.tmp`;
+}
+
+/**
+ * Replace a file atomically: write a temporary file, fsync it, then rename it
+ * over the target. Readers see either the old or the new contents, never a mix.
+ * @private
+ */
+function writeFileAtomic(filePath, data) {
+  const tempPath = tempPathFor(filePath);
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } catch (error) {
+    fs.closeSync(fd);
+    fs.unlinkSync(tempPath);
+    throw error;
+  }
+  fs.closeSync(fd);
+  fs.renameSync(tempPath, filePath);
+  fsyncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Asynchronous version of writeFileAtomic using fs.promises
+ * @private
+ */
+async function writeFileAtomicAsync(filePath, data) {
+  const tempPath = tempPathFor(filePath);
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } catch (error) {
+    await handle.close();
+    await fs.promises.unlink(tempPath);
+    throw error;
+  }
+  await handle.close();
+  await fs.promises.rename(tempPath, filePath);
+  fsyncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Read a file with fs.promises, or null if it does not exist
+ * @private
+ */
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Byte that ends every complete log record
+const NEWLINE_BYTE = 0x0a;
+
+/**
+ * Append records to an operation log. A torn last line left by a crash is cut
+ * off first so the new records start on a line of their own. Only the last
+ * byte is read on each append; the whole file only when it is torn.
+ * @private
+ */
+function appendToLog(filePath, data) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filePath, 'r+');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (fd !== null) {
+    try {
+      const { size } = fs.fstatSync(fd);
+      const last = Buffer.alloc(1);
+      if (size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== NEWLINE_BYTE) {
+        fs.ftruncateSync(fd, fs.readFileSync(filePath).lastIndexOf(NEWLINE_BYTE) + 1);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  appendFileDurable(filePath, data);
+}
+
+/**
+ * Asynchronous version of appendToLog
+ * @private
+ */
+async function appendToLogAsync(filePath, data) {
+  const handle = await fs.promises.open(filePath, 'a+');
+  try {
+    const { size } = await handle.stat();
+    const last = Buffer.alloc(1);
+    if (size > 0 && (await handle.read(last, 0, 1, size - 1)).bytesRead === 1 && last[0] !== NEWLINE_BYTE) {
+      const content = await fs.promises.readFile(filePath);
+      await handle.truncate(content.lastIndexOf(NEWLINE_BYTE) + 1);
+    }
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Write a prepared data file: append records to a log or replace the whole file
+ * @private
+ * @param {StorageAdapter} adapter - Storage of the database
+ * @param {object} file - { name, data, mode: 'append' | 'replace' }
+ */
+function writeDataFile(adapter, file) {
+  if (file.mode === 'append') {
+    adapter.append(file.name, file.data);
+  } else {
+    adapter.write(file.name, file.data);
+  }
+}
+
+/**
+ * Asynchronous version of writeDataFile
+ * @private
+ */
+async function writeDataFileAsync(adapter, file) {
+  if (file.mode === 'append') {
+    await adapter.appendAsync(file.name, file.data);
+  } else {
+    await adapter.writeAsync(file.name, file.data);
+  }
+}
+
+/**
+ * Append to a file and fsync before returning
+ * @private
+ */
+function appendFileDurable(filePath, data) {
+  const fd = fs.openSync(filePath, 'a');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Persist a rename by syncing its directory (not supported on every platform)
+ * @private
+ */
+function fsyncDirectory(dirPath) {
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Windows cannot open or sync directories; the rename is still atomic there
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Try to create a lock file. Abandoned locks (owner process gone, or older than
+ * STALE_LOCK_MS) are removed so the next attempt can take them over.
+ * @private
+ * @returns {boolean} True if the lock was acquired
+ */
+function tryLock(lockPath) {
+  try {
+    const fd = fs.openSync(lockPath, 'wx');
+    try {
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, time: Date.now() }));
+    } finally {
+      fs.closeSync(fd);
+    }
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  const stale = readStaleLock(lockPath);
+  // Only remove the lock we judged stale, not one another process just created
+  if (stale !== null && readFileOrNull(lockPath) === stale) {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return false;
+}
+
+/**
+ * Contents of a lock file if it is abandoned, otherwise null
+ * @private
+ */
+function readStaleLock(lockPath) {
+  let content;
+  let stat;
+  try {
+    content = fs.readFileSync(lockPath, 'utf8');
+    stat = fs.statSync(lockPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  if (Date.now() - stat.mtimeMs > STALE_LOCK_MS) return content;
+
+  let owner;
+  try {
+    owner = JSON.parse(content);
+  } catch (error) {
+    return null; // Still being written by its owner
+  }
+  return isProcessAlive(owner.pid) ? null : content;
+}
+
+/**
+ * Whether a process with this pid exists
+ * @private
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Read a file synchronously, or null if it does not exist
+ * @private
+ */
+function readFileOrNull(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Block until a lock is acquired
+ * @private
+ */
+function acquireLockSync(adapter, lockName, timeout) {
+  const deadline = Date.now() + timeout;
+  const sleeper = new Int32Array(new SharedArrayBuffer(4));
+  while (!adapter.lock(lockName)) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock ${lockName}`);
+    }
+    Atomics.wait(sleeper, 0, 0, LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Delete a file if it exists
+ * @private
+ */
+function unlinkIfExists(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Identity of a file's current contents (inode, size, mtime), or '-' if missing.
+ * Atomic replaces change the inode and appends change the size, so any write
+ * by another process changes the signature.
+ * @private
+ */
+function fileSignature(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return '-';
+    throw error;
+  }
+}
+
+/**
+ * Where a database keeps its data: named entries holding text (data files,
+ * logs, metadata, the journal) plus named locks. Extend it to store
+ * collections elsewhere and pass an instance as the adapter option. The
+ * synchronous methods are required; the async ones default to them.
+ */
+class StorageAdapter {
+  /**
+   * Contents of an entry
+   * @param {string} name - Entry name, e.g. 'users.json'
+   * @returns {string|null} Contents, or null if the entry does not exist
+   */
+  read(name) {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  /**
+   * Replace an entry. Readers must see either the old or the new contents.
+   * @param {string} name - Entry name
+   * @param {string} data - New contents
+   */
+  write(name, data) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  /**
+   * Append to an entry, creating it if needed. Text after the last newline
+   * (a record torn by a crash) is dropped first.
+   * @param {string} name - Entry name
+   * @param {string} data - Newline-terminated records
+   */
+  append(name, data) {
+    throw new Error(`${this.constructor.name} does not implement append()`);
+  }
+
+  /**
+   * Remove an entry if it exists
+   * @param {string} name - Entry name
+   */
+  delete(name) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * Names of every entry
+   * @returns {string[]} Entry names
+   */
+  list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * Value that changes whenever an entry is written, used to notice writes by
+   * other processes
+   * @param {string} name - Entry name
+   * @returns {string} Signature ('-' if the entry does not exist)
+   */
+  signature(name) {
+    throw new Error(`${this.constructor.name} does not implement signature()`);
+  }
+
+  /**
+   * Try to take a lock without waiting
+   * @param {string} name - Lock name, e.g. 'users.lock'
+   * @returns {boolean} True if the lock was acquired
+   */
+  lock(name) {
+    throw new Error(`${this.constructor.name} does not implement lock()`);
+  }
+
+  /**
+   * Release a lock taken with lock()
+   * @param {string} name - Lock name
+   */
+  unlock(name) {
+    throw new Error(`${this.constructor.name} does not implement unlock()`);
+  }
+
+  /**
+   * Asynchronous version of read()
+   * @returns {Promise<string|null>}
+   */
+  async readAsync(name) {
+    return this.read(name);
+  }
+
+  /**
+   * Asynchronous version of write()
+   * @returns {Promise<void>}
+   */
+  async writeAsync(name, data) {
+    this.write(name, data);
+  }
+
+  /**
+   * Asynchronous version of append()
+   * @returns {Promise<void>}
+   */
+  async appendAsync(name, data) {
+    this.append(name, data);
+  }
+}
+
+/**
+ * Stores each entry as a file in a directory, with atomic replaces, fsynced
+ * appends and lock files that work across processes. The default adapter.
+ */
+class FileAdapter extends StorageAdapter {
+  /**
+   * @param {string} dirPath - Database directory, created if missing
+   */
+  constructor(dirPath) {
+    super();
+    this.dirPath = path.resolve(dirPath);
+    if (!fs.existsSync(this.dirPath)) {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+    }
+  }
+
+  read(name) {
+    return readFileOrNull(this._path(name));
+  }
+
+  write(name, data) {
+    writeFileAtomic(this._path(name), data);
+  }
+
+  append(name, data) {
+    appendToLog(this._path(name), data);
+  }
+
+  delete(name) {
+    unlinkIfExists(this._path(name));
+  }
+
+  list() {
+    return fs.existsSync(this.dirPath) ? fs.readdirSync(this.dirPath) : [];
+  }
+
+  signature(name) {
+    return fileSignature(this._path(name));
+  }
+
+  lock(name) {
+    return tryLock(this._path(name));
+  }
+
+  unlock(name) {
+    unlinkIfExists(this._path(name));
+  }
+
+  async readAsync(name) {
+    return readFileIfExists(this._path(name));
+  }
+
+  async writeAsync(name, data) {
+    await writeFileAtomicAsync(this._path(name), data);
+  }
+
+  async appendAsync(name, data) {
+    await appendToLogAsync(this._path(name), data);
+  }
+
+  /**
+   * Path of an entry's file
+   * @private
+   */
+  _path(name) {
+    return path.join(this.dirPath, name);
+  }
+}
+
+/**
+ * Keeps every entry in memory; nothing touches the disk and everything is
+ * gone when the process exits. Used for new NoSQLite(':memory:'). Databases
+ * given the same instance share their data and locks.
+ */
+class MemoryAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.entries = new Map(); // Name -> contents
+    this._versions = new Map(); // Name -> write counter, for signature()
+    this._locks = new Set();
+  }
+
+  read(name) {
+    return this.entries.has(name) ? this.entries.get(name) : null;
+  }
+
+  write(name, data) {
+    this.entries.set(name, data);
+    this._versions.set(name, (this._versions.get(name) || 0) + 1);
+  }
+
+  append(name, data) {
+    // Appends cannot be torn in memory, so there is no partial record to drop
+    this.write(name, (this.read(name) || '') + data);
+  }
+
+  delete(name) {
+    this.entries.delete(name);
+  }
+
+  list() {
+    return Array.from(this.entries.keys());
+  }
+
+  signature(name) {
+    return this.entries.has(name) ? String(this._versions.get(name)) : '-';
+  }
+
+  lock(name) {
+    if (this._locks.has(name)) return false;
+    this._locks.add(name);
+    return true;
+  }
+
+  unlock(name) {
+    this._locks.delete(name);
+  }
+}
+
+// Path segments that must never be read, written or removed through dot-notation
+const FORBIDDEN_PATH_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Throw if a dot-notation path could reach an object's prototype
+ * @private
+ */
+function checkPathSegment(part, fieldPath) {
+  if (FORBIDDEN_PATH_SEGMENTS.includes(part)) {
+    throw new Error(`Invalid field path: ${fieldPath}`);
+  }
+}
+
+/**
+ * Read a value by dot-notation path ('address.city', 'items.0.sku')
+ * @private
+ */
+function getPath(obj, fieldPath) {
+  const parts = fieldPath.split('.');
+  let current = obj;
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    checkPathSegment(part, fieldPath);
+    if (Array.isArray(current) && !/^\d+$/.test(part)) {
+      // A named field on an array reaches into every element: 'items.sku' collects each item's sku
+      const rest = parts.slice(i).join('.');
+      const values = [];
+      current.forEach(element => {
+        const value = getPath(element, rest);
+        if (Array.isArray(value)) {
+          values.push(...value);
+        } else if (value !== undefined) {
+          values.push(value);
+        }
+      });
+      return values.length > 0 ? values : undefined;
+    }
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+/**
+ * Check whether a dot-notation path exists on an object
+ * @private
+ */
+function hasPath(obj, fieldPath) {
+  const parts = fieldPath.split('.');
+  let current = obj;
+  for (const part of parts) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, part)) {
+      return false;
+    }
+    current = current[part];
+  }
+  return true;
+}
+
+/**
+ * Write a value by dot-notation path, creating intermediate objects as needed
+ * @private
+ */
+function setPath(obj, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  let current = obj;
+  parts.forEach((part, i) => {
+    checkPathSegment(part, fieldPath);
+    if (i === parts.length - 1) {
+      current[part] = value;
+      return;
+    }
+    if (current[part] === null || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  });
+}
+
+/**
+ * Remove a value by dot-notation path. Array elements are set to null to keep positions stable.
+ * @private
+ */
+function unsetPath(obj, fieldPath) {
+  const parts = fieldPath.split('.');
+  parts.forEach(part => checkPathSegment(part, fieldPath));
+  const last = parts.pop();
+  const parent = parts.length > 0 ? getPath(obj, parts.join('.')) : obj;
+  if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, last)) {
+    return;
+  }
+  if (Array.isArray(parent)) {
+    parent[last] = null;
+  } else {
+    delete parent[last];
+  }
+}
+
+/**
+ * Deep copy a document so nested objects can be changed without touching the original
+ * @private
+ */
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = cloneValue(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Check for a plain object (not an array, Date, RegExp, Buffer or null)
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !Buffer.isBuffer(value);
+}
+
+/**
+ * JSON.stringify replacer writing the types JSON cannot hold as wrappers:
+ * { $date }, { $binary }, { $bigint } and { $regularExpression }.
+ * Reads the raw value, since Date and Buffer have their own toJSON.
+ * @private
+ */
+function typedReplacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) {
+    return { $date: Number.isNaN(raw.getTime()) ? null : raw.toISOString() };
+  }
+  if (Buffer.isBuffer(raw)) return { $binary: raw.toString('base64') };
+  if (typeof raw === 'bigint') return { $bigint: raw.toString() };
+  if (raw instanceof RegExp) return { $regularExpression: { pattern: raw.source, options: raw.flags } };
+  return value;
+}
+
+/**
+ * Turn a typed wrapper parsed from JSON back into its value. Encrypted fields
+ * ({ $encrypted }) are decrypted with the database's key.
+ * @private
+ */
+function reviveTyped(value, encryptionKey) {
+  if (!isPlainObject(value)) return value;
+  const keys = Object.keys(value);
+  if (keys.length !== 1) return value;
+
+  const wrapped = value[keys[0]];
+  switch (keys[0]) {
+    case '$encrypted':
+      if (typeof wrapped !== 'string') return value;
+      if (!encryptionKey) {
+        throw new Error('Document has encrypted fields; open the database with its encryptionKey');
+      }
+      return parseTyped(decryptText(encryptionKey, wrapped), encryptionKey);
+    case '$date':
+      if (wrapped === null) return new Date(NaN);
+      return typeof wrapped === 'string' ? new Date(wrapped) : value;
+    case '$binary':
+      return typeof wrapped === 'string' ? Buffer.from(wrapped, 'base64') : value;
+    case '$bigint':
+      return typeof wrapped === 'string' && /^-?\d+$/.test(wrapped) ? BigInt(wrapped) : value;
+    case '$regularExpression':
+      return isPlainObject(wrapped) && typeof wrapped.pattern === 'string'
+        ? new RegExp(wrapped.pattern, wrapped.options || '')
+        : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Serialize a value to JSON, keeping Date, Buffer, BigInt and RegExp values
+ * @private
+ */
+function stringifyTyped(value, space) {
+  return JSON.stringify(value, typedReplacer, space);
+}
+
+/**
+ * Parse JSON written by stringifyTyped, restoring the original types
+ * @private
+ */
+function parseTyped(text, encryptionKey = null) {
+  return JSON.parse(text, (key, value) => reviveTyped(value, encryptionKey));
+}
+
+// Authenticated encryption for data files and encrypted fields
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const ENCRYPTION_IV_BYTES = 12;
+const ENCRYPTION_TAG_BYTES = 16;
+
+// Start of a data file or log record sealed by file encryption
+const ENCRYPTED_PREFIX = '{"$encrypted":';
+
+/**
+ * Check and convert an encryption key: a 32-byte Buffer, or the same bytes as
+ * a hex or base64 string
+ * @private
+ * @returns {Buffer} Key bytes
+ */
+function encryptionKeyBytes(key) {
+  let bytes = null;
+  if (Buffer.isBuffer(key)) {
+    bytes = key;
+  } else if (typeof key === 'string') {
+    bytes = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  }
+  if (!bytes || bytes.length !== 32) {
+    throw new Error('Encryption key must be 32 bytes: a Buffer, or a hex or base64 string');
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encrypt text with AES-256-GCM under a fresh IV
+ * @private
+ * @returns {string} Base64 of IV, authentication tag and ciphertext
+ */
+function encryptText(key, text) {
+  const iv = crypto.randomBytes(ENCRYPTION_IV_BYTES);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+/**
+ * Decrypt the output of encryptText. Throws when the key is wrong or the data
+ * was changed, never returning garbage.
+ * @private
+ */
+function decryptText(key, payload) {
+  try {
+    const raw = Buffer.from(payload, 'base64');
+    const iv = raw.subarray(0, ENCRYPTION_IV_BYTES);
+    const tag = raw.subarray(ENCRYPTION_IV_BYTES, ENCRYPTION_IV_BYTES + ENCRYPTION_TAG_BYTES);
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    const data = raw.subarray(ENCRYPTION_IV_BYTES + ENCRYPTION_TAG_BYTES);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Decryption failed: wrong encryption key or tampered data');
+  }
+}
+
+/**
+ * Check for a number or BigInt
+ * @private
+ */
+function isNumeric(value) {
+  return typeof value === 'number' || typeof value === 'bigint';
+}
+
+/**
+ * Check whether a query condition is an operator expression like { $gt: 5 }
+ * @private
+ */
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+/**
+ * Deep equality used by query matching
+ * @private
+ */
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  // A BigInt equals the number with the same value
+  if (isNumeric(a) && isNumeric(b)) return a == b;
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return a.equals(b);
+  if (a instanceof RegExp && b instanceof RegExp) return String(a) === String(b);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && valuesEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Rank of a value's type in sort order: missing and null first, then numbers
+ * (and BigInts), strings, objects, arrays, binary data, booleans, dates and
+ * regular expressions
+ * @private
+ */
+function sortTypeRank(value) {
+  if (value === undefined || value === null) return 0;
+  if (isNumeric(value)) return 1;
+  if (typeof value === 'string') return 2;
+  if (isPlainObject(value)) return 3;
+  if (Array.isArray(value)) return 4;
+  if (Buffer.isBuffer(value)) return 5;
+  if (typeof value === 'boolean') return 6;
+  if (value instanceof Date) return 7;
+  if (value instanceof RegExp) return 8;
+  return 9;
+}
+
+/**
+ * Total order over document values, used for sorting and keyset pagination
+ * @private
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareValues(a, b) {
+  const rankA = sortTypeRank(a);
+  const rankB = sortTypeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  switch (rankA) {
+    case 0:
+      return 0;
+    case 3:
+      return compareValues(stringifyTyped(a), stringifyTyped(b));
+    case 4: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    }
+    case 5:
+      return Buffer.compare(a, b);
+    case 7:
+      return a.getTime() - b.getTime();
+    case 8:
+      return compareValues(String(a), String(b));
+    default:
+      if (a < b) return -1;
+      if (a > b) return 1;
+      return 0;
+  }
+}
+
+// ISO 8601 date strings, as stored in _createdAt and _updatedAt
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T|$)/;
+
+/**
+ * A Date for an ISO date string compared with a Date; anything else unchanged
+ * @private
+ */
+function asDateFor(value, other) {
+  if (!(other instanceof Date) || typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) return value;
+  return new Date(value);
+}
+
+/**
+ * Compare a field value with a range operand ($gt, $lte, ...). Only values of
+ * the same type compare, so dates never match numbers or strings; NaN when
+ * they cannot be compared (every comparison with NaN is false). The exception
+ * is ISO date strings like _createdAt, which compare as dates with a Date,
+ * whichever side the Date is on.
+ * @private
+ */
+function compareOperand(value, operand) {
+  if (Array.isArray(value) || value === undefined || value === null) return NaN;
+  const left = asDateFor(value, operand);
+  const right = asDateFor(operand, value);
+  // A string that only looks like a date compares with nothing
+  if ((left !== value && Number.isNaN(left.getTime())) || (right !== operand && Number.isNaN(right.getTime()))) {
+    return NaN;
+  }
+  if (sortTypeRank(left) !== sortTypeRank(right)) return NaN;
+  return compareValues(left, right);
+}
+
+// Type names accepted by $type
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: isNumeric,
+  double: value => typeof value === 'number',
+  int: value => Number.isInteger(value),
+  long: value => typeof value === 'bigint',
+  bool: value => typeof value === 'boolean',
+  boolean: value => typeof value === 'boolean',
+  object: isPlainObject,
+  array: Array.isArray,
+  null: value => value === null,
+  date: value => value instanceof Date,
+  regex: value => value instanceof RegExp,
+  binData: value => Buffer.isBuffer(value)
+};
+
+// Operators accepted inside a field condition
+const FIELD_OPERATORS = [
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+  '$regex', '$options', '$exists', '$type', '$not', '$all', '$size', '$elemMatch'
+];
+
+/**
+ * Validate a query up front so malformed or unknown operators throw
+ * even when no document reaches them
+ * @private
+ */
+function validateQuery(query, topLevel = true) {
+  if (!isPlainObject(query)) {
+    throw new Error('Query must be an object');
+  }
+
+  Object.keys(query).forEach(key => {
+    const value = query[key];
+    if (!key.startsWith('$')) {
+      validateCondition(value);
+      return;
+    }
+    if (key === '$text') {
+      if (!topLevel) {
+        throw new Error('$text is only allowed at the top level of a query');
+      }
+      validateTextSearch(value);
+      return;
+    }
+    if (!['$and', '$or', '$nor'].includes(key)) {
+      throw new Error(`Unknown query operator: ${key}`);
+    }
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error(`${key} requires a non-empty array of queries`);
+    }
+    value.forEach(clause => validateQuery(clause, false));
+  });
+}
+
+/**
+ * Validate a $text condition ({ $search: 'words' })
+ * @private
+ */
+function validateTextSearch(value) {
+  if (!isPlainObject(value) || typeof value.$search !== 'string') {
+    throw new Error('$text requires an object with a $search string');
+  }
+  Object.keys(value).forEach(key => {
+    if (key !== '$search') {
+      throw new Error(`Unknown $text option: ${key}`);
+    }
+  });
+}
+
+/**
+ * Validate a single field condition
+ * @private
+ */
+function validateCondition(condition) {
+  if (!isOperatorObject(condition)) return;
+
+  Object.keys(condition).forEach(operator => {
+    const operand = condition[operator];
+    if (!FIELD_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown query operator: ${operator}`);
+    }
+    if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+      throw new Error(`${operator} requires an array`);
+    }
+    if (operator === '$options' && condition.$regex === undefined) {
+      throw new Error('$options requires $regex');
+    }
+    if (operator === '$type') {
+      (Array.isArray(operand) ? operand : [operand]).forEach(type => {
+        if (!Object.prototype.hasOwnProperty.call(TYPE_CHECKS, type)) {
+          throw new Error(`Unknown type for $type: ${type}`);
+        }
+      });
+    }
+    if (operator === '$not') {
+      if (!isOperatorObject(operand) && !(operand instanceof RegExp)) {
+        throw new Error('$not requires an operator expression or regular expression');
+      }
+      validateCondition(operand);
+    }
+    if (operator === '$all' && !Array.isArray(operand)) {
+      throw new Error('$all requires an array');
+    }
+    if (operator === '$size' && !(Number.isInteger(operand) && operand >= 0)) {
+      throw new Error('$size requires a non-negative integer');
+    }
+    if (operator === '$elemMatch') {
+      if (!isPlainObject(operand)) {
+        throw new Error('$elemMatch requires an object');
+      }
+      if (isFieldOperatorObject(operand)) {
+        validateCondition(operand);
+      } else {
+        validateQuery(operand, false);
+      }
+    }
+  });
+}
+
+/**
+ * Check whether an $elemMatch argument holds field operators ({ $gt: 5 })
+ * rather than a query on sub-documents ({ sku: 'A', qty: { $gt: 5 } })
+ * @private
+ */
+function isFieldOperatorObject(value) {
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key.startsWith('$') && !['$and', '$or', '$nor'].includes(key));
+}
+
+// Compiled $regex patterns, cached per condition object
+const regexCache = new WeakMap();
+
+// Supported update operators
+const UPDATE_OPERATORS = [
+  '$set', '$unset', '$inc', '$mul', '$min', '$max', '$rename', '$currentDate',
+  '$push', '$pull', '$addToSet', '$pop', '$setOnInsert'
+];
+
+/**
+ * Validate an update specification before any document is touched
+ * @private
+ */
+function validateUpdate(update) {
+  if (!isPlainObject(update) || Object.keys(update).length === 0) {
+    throw new Error('Update must be a non-empty object');
+  }
+
+  const keys = Object.keys(update);
+  const operators = keys.filter(key => key.startsWith('$'));
+  if (operators.length === 0) return;
+  if (operators.length !== keys.length) {
+    throw new Error('Update cannot mix operators and plain fields');
+  }
+
+  operators.forEach(operator => {
+    if (!UPDATE_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown update operator: ${operator}`);
+    }
+    const spec = update[operator];
+    if (operator === '$unset' && Array.isArray(spec)) return;
+    if (!isPlainObject(spec)) {
+      throw new Error(`${operator} requires an object`);
+    }
+    Object.keys(spec).forEach(field => {
+      const value = spec[field];
+      if (['$inc', '$mul'].includes(operator) && typeof value !== 'number') {
+        throw new Error(`${operator} requires numeric values: ${field}`);
+      }
+      if (operator === '$pop' && value !== 1 && value !== -1) {
+        throw new Error(`$pop requires 1 or -1: ${field}`);
+      }
+      if (operator === '$rename' && typeof value !== 'string') {
+        throw new Error(`$rename requires a string target: ${field}`);
+      }
+    });
+  });
+}
+
+/**
+ * Read an array field for an array update operator, creating it when missing
+ * @private
+ */
+function getArrayForUpdate(doc, fieldPath, operator) {
+  const current = getPath(doc, fieldPath);
+  if (current === undefined) {
+    const created = [];
+    setPath(doc, fieldPath, created);
+    return created;
+  }
+  if (!Array.isArray(current)) {
+    throw new Error(`Cannot apply ${operator} to non-array field: ${fieldPath}`);
+  }
+  return current;
+}
+
+/**
+ * Sort comparator for $push with $sort (1, -1 or { field: 1 }), in the same
+ * order as sort()
+ * @private
+ */
+function pushSortComparator(sortSpec) {
+  const fields = isPlainObject(sortSpec) ? Object.entries(sortSpec) : [[null, sortSpec]];
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      const aVal = field === null ? a : getPath(a, field);
+      const bVal = field === null ? b : getPath(b, field);
+      const multiplier = direction === -1 || direction === 'desc' ? -1 : 1;
+      const result = compareValues(aVal, bVal);
+      if (result !== 0) return result * multiplier;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Apply one update operator to one (already resolved) field path
+ * @private
+ * @param {function} matchesPull - Decides whether $pull removes an element
+ */
+function applyUpdateOperator(doc, operator, fieldPath, value, matchesPull) {
+  const current = getPath(doc, fieldPath);
+
+  switch (operator) {
+    case '$set':
+    case '$setOnInsert':
+      setPath(doc, fieldPath, cloneValue(value));
+      break;
+
+    case '$unset':
+      unsetPath(doc, fieldPath);
+      break;
+
+    case '$inc':
+    case '$mul': {
+      if (current !== undefined && typeof current !== 'number') {
+        throw new Error(`Cannot apply ${operator} to non-numeric field: ${fieldPath}`);
+      }
+      const base = current === undefined ? 0 : current;
+      setPath(doc, fieldPath, operator === '$inc' ? base + value : base * value);
+      break;
+    }
+
+    case '$min':
+      if (current === undefined || compareValues(value, current) < 0) setPath(doc, fieldPath, cloneValue(value));
+      break;
+
+    case '$max':
+      if (current === undefined || compareValues(value, current) > 0) setPath(doc, fieldPath, cloneValue(value));
+      break;
+
+    case '$rename':
+      if (hasPath(doc, fieldPath)) {
+        unsetPath(doc, fieldPath);
+        setPath(doc, value, current);
+      }
+      break;
+
+    case '$currentDate': {
+      const asTimestamp = isPlainObject(value) && value.$type === 'timestamp';
+      setPath(doc, fieldPath, asTimestamp ? Date.now() : new Date());
+      break;
+    }
+
+    case '$push': {
+      const array = getArrayForUpdate(doc, fieldPath, operator);
+      const hasModifiers = isPlainObject(value) && value.$each !== undefined;
+      const items = (hasModifiers ? value.$each : [value]).map(cloneValue);
+
+      if (hasModifiers && value.$position !== undefined) {
+        array.splice(value.$position, 0, ...items);
+      } else {
+        array.push(...items);
+      }
+      if (hasModifiers && value.$sort !== undefined) {
+        array.sort(pushSortComparator(value.$sort));
+      }
+      if (hasModifiers && value.$slice !== undefined) {
+        const kept = value.$slice < 0 ? array.slice(value.$slice) : array.slice(0, value.$slice);
+        array.splice(0, array.length, ...kept);
+      }
+      break;
+    }
+
+    case '$addToSet': {
+      const array = getArrayForUpdate(doc, fieldPath, operator);
+      const items = isPlainObject(value) && value.$each !== undefined ? value.$each : [value];
+      items.forEach(item => {
+        if (!array.some(existing => valuesEqual(existing, item))) {
+          array.push(cloneValue(item));
+        }
+      });
+      break;
+    }
+
+    case '$pull': {
+      if (current === undefined) break;
+      const array = getArrayForUpdate(doc, fieldPath, operator);
+      const kept = array.filter(element => !matchesPull(element, value));
+      array.splice(0, array.length, ...kept);
+      break;
+    }
+
+    case '$pop': {
+      if (current === undefined) break;
+      const array = getArrayForUpdate(doc, fieldPath, operator);
+      if (value === 1) {
+        array.pop();
+      } else {
+        array.shift();
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Convert a Date, ISO string or millisecond timestamp to a Date
+ * @private
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' || typeof value === 'number') {
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) return date;
+  }
+  return null;
+}
+
+/**
+ * Format a date for $dateToString (%Y, %m, %d, %H, %M, %S, %L in UTC)
+ * @private
+ */
+function formatDate(date, format) {
+  const pad = (number, size = 2) => String(number).padStart(size, '0');
+  const parts = {
+    Y: date.getUTCFullYear(),
+    m: pad(date.getUTCMonth() + 1),
+    d: pad(date.getUTCDate()),
+    H: pad(date.getUTCHours()),
+    M: pad(date.getUTCMinutes()),
+    S: pad(date.getUTCSeconds()),
+    L: pad(date.getUTCMilliseconds(), 3),
+    '%': '%'
+  };
+  return format.replace(/%([YmdHMSL%])/g, (match, key) => parts[key]);
+}
+
+// Expression operators usable in $group, $project and $addFields
+const EXPRESSION_OPERATORS = {
+  $add: values => values.reduce((sum, value) => sum + value, 0),
+  $subtract: ([a, b]) => a - b,
+  $multiply: values => values.reduce((product, value) => product * value, 1),
+  $divide: ([a, b]) => (b === 0 ? null : a / b),
+  $concat: values => (values.some(value => value === null || value === undefined) ? null : values.join('')),
+  $toLower: value => (typeof value === 'string' ? value.toLowerCase() : ''),
+  $toUpper: value => (typeof value === 'string' ? value.toUpperCase() : ''),
+  $size: value => (Array.isArray(value) ? value.length : 0),
+  $ifNull: ([value, fallback]) => (value === null || value === undefined ? fallback : value),
+  $cond: value => (Array.isArray(value)
+    ? (value[0] ? value[1] : value[2])
+    : (value.if ? value.then : value.else)),
+  $eq: ([a, b]) => valuesEqual(a, b),
+  $ne: ([a, b]) => !valuesEqual(a, b),
+  $gt: ([a, b]) => a > b,
+  $gte: ([a, b]) => a >= b,
+  $lt: ([a, b]) => a < b,
+  $lte: ([a, b]) => a <= b,
+  $year: value => (toDate(value) ? toDate(value).getUTCFullYear() : null),
+  $month: value => (toDate(value) ? toDate(value).getUTCMonth() + 1 : null),
+  $dayOfMonth: value => (toDate(value) ? toDate(value).getUTCDate() : null),
+  $dateToString: ({ format = '%Y-%m-%dT%H:%M:%S.%LZ', date }) => (toDate(date) ? formatDate(toDate(date), format) : null)
+};
+
+/**
+ * Evaluate an aggregation expression: '$field' references, operator objects,
+ * nested objects/arrays and literals
+ * @private
+ */
+function evaluateExpression(doc, expression) {
+  if (typeof expression === 'string') {
+    return expression.startsWith('$') ? getPath(doc, expression.slice(1)) : expression;
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluateExpression(doc, item));
+  }
+  if (!isPlainObject(expression)) {
+    return expression;
+  }
+
+  const keys = Object.keys(expression);
+  if (keys.length === 1 && keys[0].startsWith('$')) {
+    const [operator] = keys;
+    if (operator === '$literal') return expression.$literal;
+    if (!EXPRESSION_OPERATORS[operator]) {
+      throw new Error(`Unknown expression operator: ${operator}`);
+    }
+    return EXPRESSION_OPERATORS[operator](evaluateExpression(doc, expression[operator]));
+  }
+
+  const result = {};
+  keys.forEach(key => {
+    result[key] = evaluateExpression(doc, expression[key]);
+  });
+  return result;
+}
+
+// Accumulators for $group: each has an initial state, a step and a final result
+const ACCUMULATORS = {
+  $sum: {
+    init: () => 0,
+    step: (total, value) => (typeof value === 'number' ? total + value : total),
+    result: total => total
+  },
+  $avg: {
+    init: () => ({ total: 0, count: 0 }),
+    step: (state, value) => (typeof value === 'number' ? { total: state.total + value, count: state.count + 1 } : state),
+    result: state => (state.count > 0 ? state.total / state.count : null)
+  },
+  $min: {
+    init: () => undefined,
+    step: (min, value) => (value !== undefined && value !== null && (min === undefined || value < min) ? value : min),
+    result: min => (min === undefined ? null : min)
+  },
+  $max: {
+    init: () => undefined,
+    step: (max, value) => (value !== undefined && value !== null && (max === undefined || value > max) ? value : max),
+    result: max => (max === undefined ? null : max)
+  },
+  $push: {
+    init: () => [],
+    step: (values, value) => (value === undefined ? values : values.concat([value])),
+    result: values => values
+  },
+  $addToSet: {
+    init: () => [],
+    step: (values, value) => (value === undefined || values.some(existing => valuesEqual(existing, value)) ? values : values.concat([value])),
+    result: values => values
+  },
+  $first: {
+    init: () => ({ set: false }),
+    step: (state, value) => (state.set ? state : { set: true, value }),
+    result: state => (state.value === undefined ? null : state.value)
+  },
+  $last: {
+    init: () => ({}),
+    step: (state, value) => ({ value }),
+    result: state => (state.value === undefined ? null : state.value)
+  },
+  $count: {
+    init: () => 0,
+    step: count => count + 1,
+    result: count => count
+  }
+};
+
+/**
+ * $group stage: bucket documents by the _id expression and run accumulators
+ * @private
+ */
+function groupDocuments(documents, spec) {
+  if (!isPlainObject(spec) || !Object.prototype.hasOwnProperty.call(spec, '_id')) {
+    throw new Error('$group requires an _id expression');
+  }
+
+  const fields = Object.keys(spec).filter(field => field !== '_id').map(field => {
+    const accumulator = spec[field];
+    const [operator] = isPlainObject(accumulator) ? Object.keys(accumulator) : [];
+    if (!ACCUMULATORS[operator]) {
+      throw new Error(`Unknown $group accumulator for ${field}: ${operator}`);
+    }
+    return { field, operator, expression: accumulator[operator] };
+  });
+
+  const groups = new Map();
+  documents.forEach(doc => {
+    const id = evaluateExpression(doc, spec._id);
+    const key = stringifyTyped(id === undefined ? null : id);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        id: id === undefined ? null : id,
+        states: fields.map(({ operator }) => ACCUMULATORS[operator].init())
+      });
+    }
+    const group = groups.get(key);
+    fields.forEach(({ operator, expression }, i) => {
+      group.states[i] = ACCUMULATORS[operator].step(group.states[i], evaluateExpression(doc, expression));
+    });
+  });
+
+  return Array.from(groups.values()).map(group => {
+    const result = { _id: group.id };
+    fields.forEach(({ field, operator }, i) => {
+      result[field] = ACCUMULATORS[operator].result(group.states[i]);
+    });
+    return result;
+  });
+}
+
+/**
+ * $project stage: include (1), exclude (0) or compute fields
+ * @private
+ */
+function projectDocument(doc, spec) {
+  const fields = Object.keys(spec);
+  const isExclusion = fields.length > 0 &&
+    fields.every(field => spec[field] === 0 || spec[field] === false);
+
+  if (isExclusion) {
+    const projected = cloneValue(doc);
+    fields.forEach(field => unsetPath(projected, field));
+    return projected;
+  }
+
+  const projected = {};
+  if (spec._id !== 0 && spec._id !== false && doc._id !== undefined) {
+    projected._id = doc._id;
+  }
+  fields.forEach(field => {
+    const value = spec[field];
+    if (field === '_id' && (value === 0 || value === false)) return;
+    if (value === 1 || value === true) {
+      if (hasPath(doc, field)) setPath(projected, field, getPath(doc, field));
+    } else {
+      setPath(projected, field, evaluateExpression(doc, value));
+    }
+  });
+  return projected;
+}
+
+/**
+ * $unwind stage: one output document per array element
+ * @private
+ */
+function unwindDocuments(documents, spec) {
+  const options = typeof spec === 'string' ? { path: spec } : spec;
+  if (!options || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+    throw new Error('$unwind requires a field path starting with $');
+  }
+  const fieldPath = options.path.slice(1);
+
+  const results = [];
+  documents.forEach(doc => {
+    const value = getPath(doc, fieldPath);
+    if (Array.isArray(value) && value.length > 0) {
+      value.forEach((element, i) => {
+        const copy = cloneValue(doc);
+        setPath(copy, fieldPath, element);
+        if (options.includeArrayIndex) setPath(copy, options.includeArrayIndex, i);
+        results.push(copy);
+      });
+    } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+      results.push(doc);
+    } else if (options.preserveNullAndEmptyArrays) {
+      const copy = cloneValue(doc);
+      if (Array.isArray(value)) unsetPath(copy, fieldPath);
+      if (options.includeArrayIndex) setPath(copy, options.includeArrayIndex, null);
+      results.push(copy);
+    }
+  });
+  return results;
+}
+
+/**
+ * Thrown when a document does not match its collection's schema
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} collectionName - Collection the document was written to
+   * @param {object[]} errors - Failures as { path, keyword, message }
+   */
+  constructor(collectionName, errors) {
+    const summary = errors.map(error => `${error.path || '(document)'} ${error.message}`).join('; ');
+    super(`Document failed validation for collection ${collectionName}: ${summary}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// JSON Schema types supported by validators
+const SCHEMA_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: isPlainObject,
+  array: Array.isArray,
+  null: value => value === null
+};
+
+// Keywords of the supported JSON Schema subset
+const SCHEMA_KEYWORDS = [
+  'type', 'enum', 'required', 'properties', 'additionalProperties', 'items',
+  'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems',
+  'title', 'description'
+];
+
+// Fields maintained by the database, allowed even with additionalProperties: false
+const SYSTEM_FIELDS = ['_id', '_createdAt', '_updatedAt'];
+
+/**
+ * Reject schemas using keywords or types this validator does not implement,
+ * instead of silently not enforcing them
+ * @private
+ */
+function checkSchema(schema, schemaPath = '') {
+  if (!isPlainObject(schema)) {
+    throw new Error(`Invalid schema${schemaPath ? ` at ${schemaPath}` : ''}: must be an object`);
+  }
+  Object.keys(schema).forEach(keyword => {
+    if (!SCHEMA_KEYWORDS.includes(keyword)) {
+      throw new Error(`Unknown schema keyword: ${keyword}`);
+    }
+  });
+  [].concat(schema.type || []).forEach(type => {
+    if (!Object.prototype.hasOwnProperty.call(SCHEMA_TYPES, type)) {
+      throw new Error(`Unknown schema type: ${type}`);
+    }
+  });
+  if (schema.pattern !== undefined) new RegExp(schema.pattern);
+
+  Object.keys(schema.properties || {}).forEach(key => {
+    checkSchema(schema.properties[key], schemaPath ? `${schemaPath}.${key}` : key);
+  });
+  if (isPlainObject(schema.additionalProperties)) {
+    checkSchema(schema.additionalProperties, schemaPath);
+  }
+  if (schema.items !== undefined) {
+    checkSchema(schema.items, `${schemaPath}[]`);
+  }
+}
+
+/**
+ * Validate a value against a schema, collecting every failure
+ * @private
+ * @returns {object[]} Failures as { path, keyword, message }
+ */
+function validateSchema(value, schema, valuePath = '', errors = []) {
+  const fail = (keyword, message) => errors.push({ path: valuePath, keyword, message });
+  const childPath = key => (valuePath ? `${valuePath}.${key}` : String(key));
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => SCHEMA_TYPES[type](value))) {
+      fail('type', `must be of type ${types.join(' or ')}`);
+      return errors; // Further keywords would only repeat the type mismatch
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => valuesEqual(option, value))) {
+    fail('enum', `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => validateSchema(item, schema.items, childPath(i), errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(key), keyword: 'required', message: 'is required' });
+      }
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (value[key] === undefined) return;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateSchema(value[key], properties[key], childPath(key), errors);
+      } else if (schema.additionalProperties === false) {
+        if (valuePath || !SYSTEM_FIELDS.includes(key)) {
+          errors.push({ path: childPath(key), keyword: 'additionalProperties', message: 'is not allowed' });
+        }
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validateSchema(value[key], schema.additionalProperties, childPath(key), errors);
+      }
+    });
+  }
+  return errors;
+}
+
+// Write operations that accept pre and post hooks
+const HOOK_OPERATIONS = ['insert', 'update', 'delete'];
+
+/**
+ * Describe an update as the top-level fields it set and removed
+ * @private
+ */
+function describeUpdate(before, after) {
+  const updatedFields = {};
+  Object.keys(after).forEach(key => {
+    if (!valuesEqual(before[key], after[key])) {
+      updatedFields[key] = cloneValue(after[key]);
+    }
+  });
+  const removedFields = Object.keys(before)
+    .filter(key => !Object.prototype.hasOwnProperty.call(after, key));
+  return { updatedFields, removedFields };
+}
+
+/**
+ * Stream of change records for documents matching a query, returned by
+ * collection.watch(). Emits 'change' events and is async iterable.
+ */
+class ChangeStream extends EventEmitter {
+  /**
+   * @param {Collection} collection - Watched collection
+   * @param {object} query - Only changes whose document matches are delivered
+   */
+  constructor(collection, query) {
+    super();
+    this.collection = collection;
+    this.query = query;
+    this.closed = false;
+    this._iterating = false;
+    this._queue = []; // Changes not yet read by the async iterator
+    this._waiting = []; // Iterator reads waiting for the next change
+    this._listener = change => this._push(change);
+    collection.on('change', this._listener);
+  }
+
+  /**
+   * Stop delivering changes and end any async iteration
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.collection.removeListener('change', this._listener);
+    this._waiting.forEach(resolve => resolve({ value: undefined, done: true }));
+    this._waiting = [];
+    this.emit('close');
+  }
+
+  /**
+   * Iterate changes with for await; breaking out of the loop closes the stream
+   */
+  [Symbol.asyncIterator]() {
+    this._iterating = true;
+    return {
+      next: () => {
+        if (this._queue.length > 0) {
+          return Promise.resolve({ value: this._queue.shift(), done: false });
+        }
+        if (this.closed) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => this._waiting.push(resolve));
+      },
+      return: () => {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+
+  /**
+   * Deliver a change if it matches the query
+   * @private
+   */
+  _push(change) {
+    const matches = change.fullDocument
+      ? this.collection._matchesQuery(change.fullDocument, this.query)
+      : Object.keys(this.query).length === 0;
+    if (!matches) return;
+
+    this.emit('change', change);
+    if (this._waiting.length > 0) {
+      this._waiting.shift()({ value: change, done: false });
+    } else if (this._iterating) {
+      this._queue.push(change);
+    }
+  }
+}
+
+// Documents a cursor yields before for await lets other callbacks run
+const CURSOR_BATCH_SIZE = 1000;
+
+/**
+ * Lazy query result returned by find(query, { cursor: true }). Nothing runs
+ * until the cursor is iterated; every iteration runs the query again.
+ */
+class Cursor {
+  /**
+   * @param {Collection} collection - Queried collection
+   * @param {object} query - Query object
+   * @param {object} options - Initial sort, skip, limit and projection
+   */
+  constructor(collection, query, options = {}) {
+    validateQuery(query);
+    this.collection = collection;
+    this.query = query;
+    this._sortSpec = options.sort || null;
+    this._skip = options.skip || 0;
+    this._limit = options.limit || 0;
+    this._projection = options.projection || null;
+    this._transforms = [];
+  }
+
+  /**
+   * @param {object} sortSpec - Fields and directions ({ age: -1 })
+   * @returns {Cursor} This cursor
+   */
+  sort(sortSpec) {
+    this._sortSpec = sortSpec;
+    return this;
+  }
+
+  /**
+   * @param {number} count - Matching documents to skip
+   * @returns {Cursor} This cursor
+   */
+  skip(count) {
+    this._skip = count;
+    return this;
+  }
+
+  /**
+   * @param {number} count - Maximum documents to yield (0: no limit)
+   * @returns {Cursor} This cursor
+   */
+  limit(count) {
+    this._limit = count;
+    return this;
+  }
+
+  /**
+   * @param {object} projection - Fields to include ({ name: 1 })
+   * @returns {Cursor} This cursor
+   */
+  project(projection) {
+    this._projection = projection;
+    return this;
+  }
+
+  /**
+   * Transform every yielded document; transforms run in the order they were added
+   * @param {function} fn - Receives a document, returns the value to yield
+   * @returns {Cursor} This cursor
+   */
+  map(fn) {
+    this._transforms.push(fn);
+    return this;
+  }
+
+  /**
+   * Collect the results
+   * @returns {array} Results
+   */
+  toArray() {
+    return Array.from(this);
+  }
+
+  /**
+   * Call fn for every result
+   * @param {function} fn - Receives each result
+   */
+  forEach(fn) {
+    for (const result of this) {
+      fn(result);
+    }
+  }
+
+  /**
+   * Count matching documents, ignoring skip and limit
+   * @returns {number} Count
+   */
+  count() {
+    const matches = this._matches();
+    let count = 0;
+    while (!matches.next().done) count++;
+    return count;
+  }
+
+  /**
+   * Yield results one at a time. Without a sort, iteration stops as soon as
+   * the limit is reached.
+   */
+  *[Symbol.iterator]() {
+    let documents = this._matches();
+    if (this._sortSpec) {
+      documents = this.collection._sort(Array.from(documents), this._sortSpec, this.query);
+    }
+
+    let skipped = 0;
+    let yielded = 0;
+    for (const doc of documents) {
+      if (this._limit && yielded >= this._limit) return;
+      if (skipped < this._skip) {
+        skipped++;
+        continue;
+      }
+      yielded++;
+      let result = this._projection
+        ? this.collection._applyProjection(doc, this._projection, this.query)
+        : doc;
+      this._transforms.forEach(fn => {
+        result = fn(result);
+      });
+      yield result;
+    }
+  }
+
+  /**
+   * Yield results for for await, letting other callbacks run between batches
+   */
+  async *[Symbol.asyncIterator]() {
+    let count = 0;
+    for (const result of this) {
+      yield result;
+      if (++count % CURSOR_BATCH_SIZE === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+  }
+
+  /**
+   * Matching documents in natural order, found lazily
+   * @private
+   */
+  *_matches() {
+    const collection = this.collection;
+    collection._refresh();
+    const plan = collection._planQuery(this.query);
+    // A full scan walks a copy of the references so writes made while iterating
+    // (inserting into or deleting from the same collection) do not shift it
+    const candidates = plan.index === null ? plan.documents.slice() : plan.documents;
+    for (const doc of candidates) {
+      if (collection._matchesQuery(doc, this.query)) yield doc;
+    }
+  }
+}
+
+/**
+ * Encode the sort key of a page's last document as an opaque, URL-safe token
+ * @private
+ */
+function encodePageToken(sortFields, values) {
+  const json = stringifyTyped({ sort: sortFields, key: values });
+  return Buffer.from(json).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a page token, checking it was made for the same sort
+ * @private
+ * @returns {array} Sort key values of the last document of the previous page
+ */
+function decodePageToken(token, sortFields) {
+  let decoded;
+  try {
+    const base64 = String(token).replace(/-/g, '+').replace(/_/g, '/');
+    decoded = parseTyped(Buffer.from(base64, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid pagination cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.key) || JSON.stringify(decoded.sort) !== JSON.stringify(sortFields)) {
+    throw new Error('Invalid pagination cursor: it was created for a different sort');
+  }
+  return decoded.key;
+}
+
+// Languages text indexes can stem and filter stop words for ('none' only normalizes)
+const TEXT_LANGUAGES = ['english', 'none'];
+
+// Common English words left out of text indexes and searches
+const ENGLISH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'then',
+  'there', 'these', 'they', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+/**
+ * Lowercase, strip diacritics and reduce everything but letters and digits to
+ * single spaces
+ * @private
+ */
+function normalizeText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Reduce an English word to a stem by removing common suffixes, so that
+ * 'running', 'runs' and 'run' all match
+ * @private
+ */
+function stemEnglish(word) {
+  if (word.length <= 3) return word;
+  const undouble = stem => (/([^aeiouslz])\1$/.test(stem) ? stem.slice(0, -1) : stem);
+
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  if (word.endsWith('ing') && word.length > 5) return undouble(word.slice(0, -3));
+  if (word.endsWith('ed') && word.length > 4) return undouble(word.slice(0, -2));
+  if (word.endsWith('ly') && word.length > 4) return word.slice(0, -2);
+  return word;
+}
+
+/**
+ * Split text into index terms
+ * @private
+ */
+function tokenizeText(text, language) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  if (language === 'none') return words;
+  return words.filter(word => !ENGLISH_STOP_WORDS.has(word)).map(stemEnglish);
+}
+
+/**
+ * Text of the indexed fields of a document; arrays of strings are included
+ * @private
+ */
+function documentText(doc, field) {
+  const value = getPath(doc, field);
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(item => typeof item === 'string').join(' ');
+}
+
+/**
+ * Whether a projection or sort value is { $meta: 'textScore' }
+ * @private
+ */
+function isTextScoreMeta(value) {
+  return isPlainObject(value) && value.$meta === 'textScore';
+}
+
+/**
+ * Split a $search string into terms, "quoted phrases" and -negated terms or phrases
+ * @private
+ */
+function parseTextSearch(search, language) {
+  const parsed = { terms: [], phrases: [], negatedTerms: [], negatedPhrases: [] };
+  const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(search)) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = normalizeText(match[2]);
+      if (!phrase) continue;
+      if (match[1]) {
+        parsed.negatedPhrases.push(phrase);
+      } else {
+        parsed.phrases.push(phrase);
+        // Phrase words also select and score candidates
+        parsed.terms.push(...tokenizeText(match[2], language));
+      }
+    } else if (match[3]) {
+      parsed.negatedTerms.push(...tokenizeText(match[4], language));
+    } else {
+      parsed.terms.push(...tokenizeText(match[4], language));
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Keys a value is stored under in an index. Arrays are indexed per element (multikey).
+ * @private
+ */
+function indexKeys(index, value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return Array.from(new Set(values.map(item => indexKey(index, item))));
+}
+
+/**
+ * Map key for a value: equal Dates share one key object, and BigInts that fit
+ * a number are stored as that number
+ * @private
+ */
+function indexKey(index, value) {
+  if (value instanceof Date) return index.dates.get(value.getTime()) || value;
+  if (typeof value === 'bigint' && Number.isSafeInteger(Number(value))) return Number(value);
+  return value;
+}
+
+/**
+ * Time in milliseconds when a document expires under a TTL index, or null if
+ * the indexed field holds no date. Arrays expire with their earliest date.
+ * @private
+ */
+function expiryTime(doc, index) {
+  const value = getPath(doc, index.field);
+  const times = (Array.isArray(value) ? value : [value]).map(item => {
+    if (item instanceof Date) return item.getTime();
+    if (typeof item === 'string' && ISO_DATE_PATTERN.test(item)) return Date.parse(item);
+    return NaN;
+  }).filter(time => !Number.isNaN(time));
+
+  if (times.length === 0) return null;
+  return Math.min(...times) + index.expireAfterSeconds * 1000;
+}
+
+/**
+ * Reject collection names whose files would be, or be mistaken for, another
+ * collection's files: users.meta would write users.meta.json, the metadata of users.
+ * Names starting with nosqlite. are kept for the journal, whose lock is
+ * nosqlite.journal.lock.
+ * @private
+ */
+function validateCollectionName(name) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Collection name must be a non-empty string');
+  }
+  if (/[\\/]/.test(name)) {
+    throw new Error(`Invalid collection name: ${name} (contains a path separator)`);
+  }
+  if (name.startsWith(RESERVED_NAME_PREFIX)) {
+    throw new Error(`Invalid collection name: ${name} (names cannot start with ${RESERVED_NAME_PREFIX})`);
+  }
+  const reserved = [META_SUFFIX, META_SUFFIX.slice(0, -STORAGE_EXTENSIONS.json.length), ...Object.values(STORAGE_EXTENSIONS)];
+  const suffix = reserved.find(ending => name.endsWith(ending));
+  if (suffix) {
+    throw new Error(`Invalid collection name: ${name} (names cannot end in ${suffix})`);
+  }
+}
+
+/**
+ * Check whether a file in the database directory holds collection data
+ * @private
+ */
+function isCollectionFile(file) {
+  return collectionNameFromFile(file) !== null;
+}
+
+/**
+ * Collection name for a data file, or null for any other file
+ * @private
+ */
+function collectionNameFromFile(file) {
+  if (file.endsWith(META_SUFFIX)) return null;
+  const extension = Object.values(STORAGE_EXTENSIONS).find(ext => file.endsWith(ext));
+  return extension ? file.slice(0, -extension.length) : null;
+}
+
+const DATA_FORMATS = ['json', 'ndjson', 'csv'];
+
+// Unquoted CSV fields in this form are read as numbers; leading zeros stay strings
+const CSV_NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+// Prefix of CSV fields holding an array or object as JSON. Strings that start with
+// it, after any number of extra $, are written with one more $ and read with one less.
+const CSV_JSON_MARKER = '$json:';
+const CSV_MARKER_PATTERN = /^\$+json:/;
+
+/**
+ * Format of an import or export: the format option, else the file extension
+ * @private
+ */
+function dataFormat(target, format) {
+  if (format === undefined) {
+    const extension = typeof target === 'string' ? path.extname(target).toLowerCase() : '';
+    if (extension === '.csv') return 'csv';
+    return extension === '.ndjson' || extension === '.jsonl' ? 'ndjson' : 'json';
+  }
+  if (!DATA_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format}. Expected one of ${DATA_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Flatten nested objects into dot-path columns; other values are kept whole
+ * @private
+ */
+function flattenDocument(doc, prefix = '', row = {}) {
+  Object.keys(doc).forEach(key => {
+    const value = doc[key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenDocument(value, `${prefix}${key}.`, row);
+    } else {
+      row[`${prefix}${key}`] = value;
+    }
+  });
+  return row;
+}
+
+/**
+ * Value of an unquoted CSV field: a number, boolean or null when it reads as
+ * one, undefined when empty, else the text
+ * @private
+ */
+function csvScalar(text) {
+  if (text === '') return undefined;
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === 'null') return null;
+  return CSV_NUMBER_PATTERN.test(text) ? Number(text) : text;
+}
+
+/**
+ * Value of a CSV field. Fields starting with CSV_JSON_MARKER hold JSON; other
+ * quoted fields are strings, and unquoted ones go through csvScalar.
+ * @private
+ */
+function csvValue(text, quoted) {
+  if (text.startsWith(CSV_JSON_MARKER)) {
+    try {
+      return parseTyped(text.slice(CSV_JSON_MARKER.length));
+    } catch (error) {
+      throw new Error(`Invalid JSON after ${CSV_JSON_MARKER}: ${error.message}`);
+    }
+  }
+  if (CSV_MARKER_PATTERN.test(text)) return text.slice(1);
+  return quoted ? text : csvScalar(text);
+}
+
+/**
+ * Write a value as a CSV field. Arrays and objects are JSON after
+ * CSV_JSON_MARKER; strings are quoted when they would otherwise read back as
+ * something else.
+ * @private
+ */
+function csvField(value) {
+  if (value === undefined) return '';
+  let text;
+  let quote = false;
+  if (value === null) {
+    text = 'null';
+  } else if (value instanceof Date) {
+    text = Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  } else if (typeof value === 'string') {
+    text = CSV_MARKER_PATTERN.test(value) ? `$${value}` : value;
+    quote = csvScalar(value) !== value;
+  } else if (typeof value === 'object') {
+    text = CSV_JSON_MARKER + stringifyTyped(value);
+  } else {
+    text = String(value);
+  }
+
+  return csvQuote(text, quote);
+}
+
+/**
+ * Quote CSV text when forced or when it holds a quote, comma or line break
+ * @private
+ */
+function csvQuote(text, force = false) {
+  return force || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text (RFC 4180) into rows of { text, quoted } fields
+ * @private
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  const endField = () => {
+    row.push({ text: field, quoted });
+    field = '';
+    quoted = false;
+  };
+
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip a byte order mark
+  while (i < text.length) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '' && !quoted) {
+      inQuotes = true;
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      endField();
+      rows.push(row);
+      row = [];
+      if (char === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+  if (inQuotes) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (field !== '' || quoted || row.length > 0) {
+    endField();
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse import data into records of { row, doc } or { row, error }. row is the
+ * 1-based position of the record: array element, NDJSON line or CSV data row.
+ * @private
+ */
+function parseRecords(text, format) {
+  if (format === 'ndjson') {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === '') return;
+      try {
+        records.push({ row: i + 1, doc: parseTyped(line) });
+      } catch (error) {
+        records.push({ row: i + 1, error: `Invalid JSON: ${error.message}` });
+      }
+    });
+    return records;
+  }
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const columns = header.map(field => field.text);
+    return rows
+      .map((fields, i) => ({ fields, row: i + 1 }))
+      .filter(({ fields }) => !(fields.length === 1 && fields[0].text === '' && !fields[0].quoted))
+      .map(({ fields, row }) => {
+        if (fields.length > columns.length) {
+          return { row, error: `Row has ${fields.length} fields but the header has ${columns.length}` };
+        }
+        try {
+          const doc = {};
+          fields.forEach((field, i) => {
+            const value = csvValue(field.text, field.quoted);
+            if (value !== undefined) setPath(doc, columns[i], value);
+          });
+          return { row, doc };
+        } catch (error) {
+          return { row, error: error.message };
+        }
+      });
+  }
+
+  const data = parseTyped(text);
+  if (!Array.isArray(data)) {
+    throw new Error('JSON import must be an array of documents');
+  }
+  return data.map((doc, i) => ({ row: i + 1, doc }));
+}
+
+/**
+ * Read a whole readable stream as UTF-8 text
+ * @private
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Write chunks to a stream, waiting for 'drain' when its buffer is full
+ * @private
+ */
+function writeToStream(stream, chunks) {
+  return new Promise((resolve, reject) => {
+    let i = 0;
+    const fail = error => reject(error);
+    const done = () => {
+      stream.removeListener('error', fail);
+      resolve();
+    };
+    const next = () => {
+      while (i < chunks.length) {
+        if (!stream.write(chunks[i++])) {
+          stream.once('drain', next);
+          return;
+        }
+      }
+      done();
+    };
+    stream.on('error', fail);
+    next();
+  });
+}
+
+/**
+ * Entries a collection may have in storage: data file of each engine and metadata
+ * @private
+ */
+function collectionEntryNames(name) {
+  return [...Object.values(STORAGE_EXTENSIONS), META_SUFFIX].map(suffix => `${name}${suffix}`);
+}
+
+// Manifest of a backup directory; not a collection file, so it never clashes with one
+const BACKUP_MANIFEST = 'nosqlite.manifest';
+const BACKUP_FORMAT = 'nosqlite-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * SHA-256 of a backed-up entry, as hex
+ * @private
+ */
+function checksum(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Write a backup as a directory of entries plus manifest, or as one gzipped archive
+ * @private
+ */
+function writeBackup(target, manifest, files, compress) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  if (compress) {
+    writeFileAtomic(target, zlib.gzipSync(JSON.stringify({ manifest, files })));
+    return;
+  }
+
+  // Built next to the destination and renamed into place, so a failed backup leaves nothing behind
+  const tempDir = tempPathFor(target);
+  fs.mkdirSync(tempDir);
+  try {
+    Object.keys(files).forEach(name => writeFileAtomic(path.join(tempDir, name), files[name]));
+    writeFileAtomic(path.join(tempDir, BACKUP_MANIFEST), JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempDir, target);
+  } catch (error) {
+    fs.readdirSync(tempDir).forEach(file => fs.unlinkSync(path.join(tempDir, file)));
+    fs.rmdirSync(tempDir);
+    throw error;
+  }
+}
+
+/**
+ * Read a backup directory or archive and verify it against its manifest
+ * @private
+ * @returns {object} { manifest, files: { entryName: contents } }
+ */
+function readBackup(archive) {
+  const source = path.resolve(archive);
+  if (!fs.existsSync(source)) {
+    throw new Error(`Backup ${source} does not exist`);
+  }
+
+  let backup;
+  try {
+    if (fs.statSync(source).isDirectory()) {
+      const manifest = JSON.parse(fs.readFileSync(path.join(source, BACKUP_MANIFEST), 'utf8'));
+      const files = {};
+      (Array.isArray(manifest.files) ? manifest.files : []).forEach(file => {
+        const name = path.basename(String(file && file.name));
+        files[name] = readFileOrNull(path.join(source, name));
+      });
+      backup = { manifest, files };
+    } else {
+      backup = JSON.parse(zlib.gunzipSync(fs.readFileSync(source)).toString('utf8'));
+    }
+  } catch (error) {
+    throw new Error(`Invalid backup ${source}: ${error.message}`);
+  }
+  verifyBackup(backup, source);
+  return backup;
+}
+
+/**
+ * Check a backup's manifest, entry names and checksums
+ * @private
+ */
+function verifyBackup(backup, source) {
+  const fail = reason => {
+    throw new Error(`Invalid backup ${source}: ${reason}`);
+  };
+  const manifest = isPlainObject(backup) ? backup.manifest : null;
+  if (!isPlainObject(manifest) || manifest.format !== BACKUP_FORMAT) fail('missing manifest');
+  if (manifest.version !== BACKUP_VERSION) fail(`unsupported version ${manifest.version}`);
+  if (!Array.isArray(manifest.collections) || !Array.isArray(manifest.files) || !isPlainObject(backup.files)) {
+    fail('malformed manifest');
+  }
+
+  // Entry names become file names on restore, so they must stay inside the database directory
+  const allowed = new Set();
+  manifest.collections.forEach(name => {
+    if (typeof name !== 'string' || name === '' || path.basename(name) !== name) {
+      fail(`invalid collection name ${name}`);
+    }
+    collectionEntryNames(name).forEach(entry => allowed.add(entry));
+  });
+  manifest.files.forEach(file => {
+    if (!isPlainObject(file) || !allowed.has(file.name)) fail(`unexpected file ${file && file.name}`);
+    const data = backup.files[file.name];
+    if (typeof data !== 'string') fail(`${file.name} is missing`);
+    if (Buffer.byteLength(data) !== file.size || checksum(data) !== file.sha256) {
+      fail(`${file.name} does not match its checksum`);
+    }
+  });
+}
+
+/**
+ * NoSQLite - A lightweight NoSQL database similar to MongoDB
+ * Supports collections, documents, queries, indexing, and persistence
+ */
+class NoSQLite extends EventEmitter {
+  /**
+   * @param {string} dbPath - Database directory
+   * @param {object} options - Database options
+   * @param {number} options.saveDelay - Milliseconds async writes wait so that
+   *   writes close together are saved in one go (default 0: next tick)
+   * @param {string} options.storage - Storage engine: 'json' rewrites one JSON file
+   *   per collection, 'log' appends operation records to an NDJSON log (default 'json')
+   * @param {boolean} options.autoCompact - Compact logs once they grow well past the
+   *   number of live documents (default true)
+   * @param {boolean} options.locking - Lock files around writes and reload collections
+   *   changed by other processes (default true)
+   * @param {number} options.lockTimeout - Milliseconds to wait for a lock before
+   *   throwing (default 5000)
+   * @param {number} options.ttlInterval - Milliseconds between deletions of
+   *   documents expired by TTL indexes (default 60000)
+   * @param {Buffer|string} options.encryptionKey - 32-byte key (Buffer, hex or
+   *   base64) to encrypt data at rest with AES-256-GCM
+   * @param {boolean} options.encryptFiles - Encrypt whole collection files when
+   *   a key is set (default true)
+   * @param {object} options.encryptedFields - Fields to encrypt inside documents,
+   *   per collection: { users: ['ssn', 'card.number'] }
+   * @param {StorageAdapter} options.adapter - Where collections are stored (default:
+   *   files in dbPath, or memory when dbPath is ':memory:')
+   */
+  constructor(dbPath = './nosqlite_db', options = {}) {
+    super();
+    const inMemory = dbPath === ':memory:';
+    this.dbPath = inMemory ? dbPath : path.resolve(dbPath);
+    this.options = {
+      saveDelay: 0,
+      storage: 'json',
+      autoCompact: true,
+      locking: true,
+      lockTimeout: 5000,
+      ttlInterval: 60000,
+      encryptionKey: null,
+      encryptFiles: true,
+      encryptedFields: {},
+      adapter: null,
+      ...options
+    };
+    if (!Object.prototype.hasOwnProperty.call(STORAGE_EXTENSIONS, this.options.storage)) {
+      throw new Error(`Unknown storage engine: ${this.options.storage}`);
+    }
+    this._encryptionKey = this.options.encryptionKey === null ? null : encryptionKeyBytes(this.options.encryptionKey);
+    if (!this._encryptionKey && Object.keys(this.options.encryptedFields).length > 0) {
+      throw new Error('encryptedFields requires an encryptionKey');
+    }
+    this.collections = new Map();
+    this.indexes = new Map(); // Store indexes per collection
+    this._transaction = null; // Active transaction state
+    this._loading = new Map(); // Pending collectionAsync loads
+    this._ttlTimer = null; // Deletes expired documents while TTL indexes exist
+
+    // Creates the database directory when storing files
+    this.adapter = this.options.adapter || (inMemory ? new MemoryAdapter() : new FileAdapter(this.dbPath));
+
+    // Finish any commit that was interrupted by a crash
+    this._replayJournal();
+    
+    // Load existing collections
+    this._loadCollections();
+  }
+
+  /**
+   * Get or create a collection
+   * @param {string} name - Collection name
+   * @returns {Collection} Collection instance
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      validateCollectionName(name);
+      const collection = new Collection(name, this);
+      try {
+        collection._reload(); // Load existing data and rebuild persisted indexes
+      } catch (error) {
+        // Never keep a half-loaded collection around: its next save would overwrite the file
+        this.indexes.delete(name);
+        throw error;
+      }
+      this.collections.set(name, collection);
+      // Documents that expired while the database was closed are deleted on load
+      if (collection._ttlIndexes().length > 0) this._purgeExpired(collection);
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Get or create a collection, reading its files without blocking the event loop
+   * @param {string} name - Collection name
+   * @returns {Promise<Collection>} Collection instance
+   */
+  async collectionAsync(name) {
+    if (this.collections.has(name)) {
+      return this.collections.get(name);
+    }
+    validateCollectionName(name);
+    if (!this._loading.has(name)) {
+      const loading = (async () => {
+        const collection = new Collection(name, this);
+        try {
+          await collection._loadAsync();
+        } catch (error) {
+          this.indexes.delete(name);
+          throw error;
+        }
+        // A synchronous collection() call may have won the race
+        if (!this.collections.has(name)) {
+          this.collections.set(name, collection);
+          if (collection._ttlIndexes().length > 0) {
+            await collection.purgeExpiredAsync().catch(error => this._purgeFailed(collection, error));
+          }
+        }
+        return this.collections.get(name);
+      })();
+      this._loading.set(name, loading);
+      loading.then(() => this._loading.delete(name), () => this._loading.delete(name));
+    }
+    return this._loading.get(name);
+  }
+
+  /**
+   * Get or create a collection and set its schema
+   * @param {string} name - Collection name
+   * @param {object} options - Collection options
+   * @param {object} options.validator - JSON Schema documents must match
+   * @param {string} options.validationMode - 'strict' rejects invalid writes,
+   *   'warn' logs them and writes anyway (default 'strict')
+   * @returns {Collection} Collection instance
+   */
+  createCollection(name, options = {}) {
+    const collection = this.collection(name);
+    if (options.validator) {
+      collection.setSchema(options.validator, { validationMode: options.validationMode });
+    }
+    return collection;
+  }
+
+  /**
+   * Drop a collection
+   * @param {string} name - Collection name
+   * @returns {boolean} Success status
+   */
+  dropCollection(name) {
+    validateCollectionName(name);
+    const lockName = `${name}${LOCK_SUFFIX}`;
+    if (this.options.locking) acquireLockSync(this.adapter, lockName, this.options.lockTimeout);
+    try {
+      collectionEntryNames(name).forEach(file => this.adapter.delete(file));
+    } finally {
+      if (this.options.locking) this.adapter.unlock(lockName);
+    }
+    this.collections.delete(name);
+    this.indexes.delete(name);
+    return true;
+  }
+
+  /**
+   * List all collection names
+   * @returns {string[]} Array of collection names
+   */
+  listCollections() {
+    // A collection being migrated between engines briefly has both files
+    const names = this.adapter.list()
+      .filter(isCollectionFile)
+      .map(collectionNameFromFile);
+    return Array.from(new Set(names));
+  }
+
+  /**
+   * Create an index on a collection field
+   * @param {string} collectionName - Collection name
+   * @param {string} field - Field name to index
+   * @param {object} options - Index options (unique, sparse, expireAfterSeconds)
+   * @returns {boolean} Success status
+   * @throws {Error} If a unique index is requested over duplicate values
+   */
+  createIndex(collectionName, field, options = {}) {
+    const ttl = options.expireAfterSeconds;
+    if (ttl !== undefined && (typeof ttl !== 'number' || !(ttl >= 0))) {
+      throw new Error('expireAfterSeconds must be a non-negative number');
+    }
+    const collection = this.collection(collectionName);
+    return collection._withWriteLock(() => {
+      const collectionIndexes = this.indexes.get(collectionName);
+      const previous = collectionIndexes && collectionIndexes.get(field);
+      const index = this._buildIndex(collection, field, options);
+      if (index.unique && Array.from(index.values.values()).some(ids => ids.length > 1)) {
+        // Keep the collection as it was: the index is not created or saved
+        if (previous) this.indexes.get(collectionName).set(field, previous);
+        else this.indexes.get(collectionName).delete(field);
+        throw new Error(`Duplicate key error: ${field} must be unique`);
+      }
+      collection._saveMeta();
+      return true;
+    });
+  }
+
+  /**
+   * Drop an index from a collection field
+   * @param {string} collectionName - Collection name
+   * @param {string} field - Indexed field name, or '$text' for the text index
+   * @returns {boolean} True if an index was dropped
+   */
+  dropIndex(collectionName, field) {
+    const collection = this.collection(collectionName);
+    return collection._withWriteLock(() => {
+      if (field === '$text') {
+        if (!collection._textIndex) return false;
+        collection._textIndex = null;
+        collection._saveMeta();
+        return true;
+      }
+      const collectionIndexes = this.indexes.get(collectionName);
+      if (!collectionIndexes || !collectionIndexes.delete(field)) return false;
+
+      collection._saveMeta();
+      return true;
+    });
+  }
+
+  /**
+   * List index definitions of a collection
+   * @param {string} collectionName - Collection name
+   * @returns {object[]} Index definitions ({ field, unique, sparse })
+   */
+  listIndexes(collectionName) {
+    const collection = this.collection(collectionName);
+    collection._refresh();
+    const collectionIndexes = this.indexes.get(collectionName);
+    const indexes = collectionIndexes
+      ? Array.from(collectionIndexes.values()).map(index => {
+          const definition = { field: index.field, unique: index.unique, sparse: index.sparse };
+          if (index.expireAfterSeconds !== undefined) {
+            definition.expireAfterSeconds = index.expireAfterSeconds;
+          }
+          return definition;
+        })
+      : [];
+
+    const textIndex = collection._textIndex;
+    if (textIndex) {
+      indexes.push({
+        field: '$text',
+        text: true,
+        fields: textIndex.fields.slice(),
+        weights: { ...textIndex.weights },
+        language: textIndex.language
+      });
+    }
+    return indexes;
+  }
+
+  /**
+   * Build an index in memory from the collection's documents
+   * @private
+   * @returns {object} The index
+   */
+  _buildIndex(collection, field, options) {
+    const collectionName = collection.name;
+    if (!this.indexes.has(collectionName)) {
+      this.indexes.set(collectionName, new Map());
+    }
+    
+    const collectionIndexes = this.indexes.get(collectionName);
+    const index = {
+      field,
+      unique: options.unique || false,
+      sparse: options.sparse || false,
+      multikey: false,
+      values: new Map(),
+      dates: new Map() // Time -> the Date object used as key for that time
+    };
+    if (options.expireAfterSeconds !== undefined) {
+      index.expireAfterSeconds = options.expireAfterSeconds;
+      this._startTtlMonitor();
+    }
+    collectionIndexes.set(field, index);
+
+    // Build index from existing documents
+    collection.documents.forEach(doc => collection._addToIndex(index, doc));
+    return index;
+  }
+
+  /**
+   * Start the timer deleting expired documents. It does not keep the process alive.
+   * @private
+   */
+  _startTtlMonitor() {
+    if (this._ttlTimer) return;
+    this._ttlTimer = setInterval(() => {
+      this.collections.forEach(collection => {
+        if (collection._ttlIndexes().length > 0) this._purgeExpired(collection);
+      });
+    }, this.options.ttlInterval);
+    this._ttlTimer.unref();
+  }
+
+  /**
+   * Stop the timer deleting expired documents
+   * @private
+   */
+  _stopTtlMonitor() {
+    if (this._ttlTimer) {
+      clearInterval(this._ttlTimer);
+      this._ttlTimer = null;
+    }
+  }
+
+  /**
+   * Delete a collection's expired documents; a failure waits for the next run
+   * @private
+   */
+  _purgeExpired(collection) {
+    try {
+      collection.purgeExpired();
+    } catch (error) {
+      this._purgeFailed(collection, error);
+    }
+  }
+
+  /**
+   * Log a failed deletion of expired documents
+   * @private
+   */
+  _purgeFailed(collection, error) {
+    console.error(`Error deleting expired documents from collection ${collection.name}:`, error.message);
+  }
+
+  /**
+   * Load existing collections from disk
+   * @private
+   */
+  _loadCollections() {
+    const files = this.adapter.list().filter(isCollectionFile);
+    files.forEach(file => {
+      const collectionName = collectionNameFromFile(file);
+      // Collections will be loaded lazily when accessed
+    });
+  }
+
+  /**
+   * Get the database path
+   * @returns {string} Database path
+   */
+  getDbPath() {
+    return this.dbPath;
+  }
+
+  /**
+   * Close database connection (cleanup)
+   */
+  close() {
+    // Save all collections; the lock makes each one pick up other processes' changes first
+    this.collections.forEach(collection => {
+      collection._withWriteLock(() => collection._save());
+    });
+    // Stopped last: reloading a collection above restarts it
+    this._stopTtlMonitor();
+  }
+
+  /**
+   * Wait until every pending asynchronous save has been written
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(Array.from(this.collections.values()).map(collection => collection._flushPending()));
+  }
+
+  /**
+   * Flush pending asynchronous saves, then save all collections
+   * @returns {Promise<void>}
+   */
+  async closeAsync() {
+    await this.flush();
+    // An empty deferred write takes the lock, reloads if needed and saves
+    await Promise.all(Array.from(this.collections.values()).map(collection => collection._writeDeferred(() => {})));
+    this._stopTtlMonitor();
+  }
+
+  /**
+   * Re-encrypt every collection with a new key. All files are rewritten as one
+   * journaled unit, so a crash leaves either the old or the new key in use.
+   * Also encrypts a database that was opened without a key.
+   * @param {Buffer|string} newKey - 32-byte key (Buffer, hex or base64)
+   * @returns {boolean} Success status
+   */
+  rotateKey(newKey) {
+    if (this._transaction) {
+      throw new Error('Cannot rotate the encryption key inside a transaction');
+    }
+    const key = encryptionKeyBytes(newKey);
+    const collections = this.listCollections().map(name => this.collection(name));
+
+    const locked = [];
+    try {
+      collections.forEach(collection => {
+        collection._lock();
+        locked.push(collection);
+      });
+
+      const previousKey = this._encryptionKey;
+      this._encryptionKey = key;
+      let files;
+      try {
+        files = collections.map(collection => {
+          collection._forceSnapshot = true;
+          return collection._prepareWrite();
+        });
+        this._writeFiles(files.filter(Boolean));
+      } catch (error) {
+        this._encryptionKey = previousKey;
+        throw error;
+      }
+      collections.forEach((collection, i) => {
+        if (files[i]) collection._afterWrite(files[i]);
+      });
+      this.options.encryptionKey = newKey;
+      return true;
+    } finally {
+      locked.forEach(collection => collection._unlock());
+    }
+  }
+
+  /**
+   * Copy every collection and its index metadata to a new backup. All collections
+   * are locked while they are read, so the copy is one point in time even while
+   * other processes write. Files are copied as stored: an encrypted database
+   * gives an encrypted backup. Pending asynchronous saves are not included; await
+   * flush() first.
+   * @param {string} destPath - New directory, or archive file with compress: true
+   * @param {object} options - Backup options
+   * @param {boolean} options.compress - Write one gzipped archive instead of a directory
+   * @returns {object} The backup's manifest
+   */
+  backup(destPath, options = {}) {
+    if (this._transaction) {
+      throw new Error('Cannot back up inside a transaction');
+    }
+    const target = path.resolve(destPath);
+    if (fs.existsSync(target)) {
+      throw new Error(`Backup destination ${target} already exists`);
+    }
+    const collections = this.listCollections().map(name => this.collection(name));
+
+    const files = {};
+    const locked = [];
+    try {
+      collections.forEach(collection => {
+        collection._lock();
+        locked.push(collection);
+      });
+      collections.forEach(collection => {
+        collectionEntryNames(collection.name).forEach(name => {
+          const data = this.adapter.read(name);
+          if (data !== null) files[name] = data;
+        });
+      });
+    } finally {
+      locked.forEach(collection => collection._unlock());
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      encrypted: this._encryptionKey !== null,
+      collections: collections.map(collection => collection.name),
+      files: Object.keys(files).map(name => ({ name, size: Buffer.byteLength(files[name]), sha256: checksum(files[name]) }))
+    };
+    writeBackup(target, manifest, files, options.compress === true);
+    return manifest;
+  }
+
+  /**
+   * Replace the collections of a database with a backup made by db.backup().
+   * Checksums are verified and every collection is loaded from a copy in memory
+   * before live data is touched, so a corrupt backup or a wrong key fails without
+   * changing anything. Collections that are not in the backup are deleted.
+   * @param {string} archive - Backup directory or compressed archive
+   * @param {string} dbPath - Database directory to restore into
+   * @param {object} options - Database options (encryptionKey for encrypted backups)
+   * @returns {object} The backup's manifest
+   */
+  static restore(archive, dbPath = './nosqlite_db', options = {}) {
+    const { manifest, files } = readBackup(archive);
+
+    const check = new NoSQLite(':memory:', { ...options, adapter: new MemoryAdapter() });
+    manifest.files.forEach(file => check.adapter.write(file.name, files[file.name]));
+    try {
+      manifest.collections.forEach(name => check.collection(name));
+    } catch (error) {
+      throw new Error(`Backup ${path.resolve(archive)} cannot be restored: ${error.message}`);
+    } finally {
+      check._stopTtlMonitor();
+    }
+
+    const db = new NoSQLite(dbPath, options);
+    const names = Array.from(new Set([...db.listCollections(), ...manifest.collections]));
+    const locked = [];
+    try {
+      if (db.options.locking) {
+        names.forEach(name => {
+          acquireLockSync(db.adapter, `${name}${LOCK_SUFFIX}`, db.options.lockTimeout);
+          locked.push(`${name}${LOCK_SUFFIX}`);
+        });
+      }
+      const restored = manifest.files.map(file => ({ name: file.name, data: files[file.name], mode: 'replace' }));
+      if (restored.length > 0) db._writeFiles(restored);
+      // Then remove live entries the backup does not have, including the other engine's data file
+      const kept = new Set(manifest.files.map(file => file.name));
+      names.forEach(name => {
+        collectionEntryNames(name).filter(entry => !kept.has(entry)).forEach(entry => db.adapter.delete(entry));
+      });
+    } finally {
+      locked.forEach(lockName => db.adapter.unlock(lockName));
+    }
+    return manifest;
+  }
+
+  /**
+   * Run several writes as one transaction. Changes are kept in memory until the
+   * callback returns, then written together; if it throws, every collection it
+   * touched is restored (documents and indexes) and nothing is written.
+   * @param {function} fn - Synchronous callback, receives the database
+   * @returns {*} The callback's return value
+   */
+  transaction(fn) {
+    if (this._transaction) {
+      throw new Error('Transaction already in progress');
+    }
+
+    // Locks taken by collections written in the transaction are held until it ends;
+    // change records wait for the commit and are dropped on rollback
+    this._transaction = { snapshots: new Map(), locks: new Set(), changes: [] };
+    const changes = this._transaction.changes;
+    let result;
+    try {
+      result = fn(this);
+      if (result && typeof result.then === 'function') {
+        throw new Error('Transaction callback must be synchronous');
+      }
+      this._commitTransaction();
+    } catch (error) {
+      this._rollbackTransaction();
+      throw error;
+    } finally {
+      const locks = this._transaction.locks;
+      this._transaction = null;
+      locks.forEach(collection => collection._unlock());
+    }
+
+    changes.forEach(({ collection, change }) => collection._publish(change));
+    return result;
+  }
+
+  /**
+   * Write every collection changed in the transaction. All files are written to
+   * temporary paths first and only renamed into place once every write succeeded.
+   * @private
+   */
+  _commitTransaction() {
+    const collections = Array.from(this._transaction.snapshots.keys());
+    const files = collections.map(collection => collection._prepareWrite());
+    try {
+      this._writeFiles(files.filter(Boolean));
+    } catch (error) {
+      // The prepared log records are gone; the next save rewrites the whole log
+      collections.forEach(collection => {
+        collection._forceSnapshot = true;
+      });
+      throw error;
+    }
+    collections.forEach((collection, i) => {
+      if (files[i]) collection._afterWrite(files[i]);
+    });
+  }
+
+  /**
+   * Write several files as one unit. The new contents are first appended to the
+   * journal; once that record is on disk each file is replaced atomically and the
+   * journal is cleared. A crash in between is repaired by replaying the journal.
+   *
+   * If a file cannot be written, the commit is rolled forward by replaying the
+   * record. If that fails too, the files already written get their previous
+   * contents back and the record is dropped, so the error means nothing changed.
+   * @private
+   * @param {object[]} files - Entries of { name, data, mode }
+   */
+  _writeFiles(files) {
+    if (files.length === 0) return;
+    if (files.length === 1) {
+      writeDataFile(this.adapter, files[0]);
+      return;
+    }
+
+    const record = {
+      files: files.map(file => ({ name: file.name, data: file.data, mode: file.mode }))
+    };
+    this._withJournalLock(() => {
+      try {
+        this.adapter.append(JOURNAL_FILE, JSON.stringify(record) + '\n');
+      } catch (error) {
+        // No file was written; the record must not be replayed later either
+        this._clearJournal();
+        throw error;
+      }
+
+      const previous = [];
+      try {
+        files.forEach(file => {
+          previous.push(this.adapter.read(file.name));
+          writeDataFile(this.adapter, file);
+        });
+      } catch (error) {
+        try {
+          this._replayJournalRecords();
+          return;
+        } catch (replayError) {
+          this._restoreFiles(files.slice(0, previous.length), previous);
+          throw error;
+        }
+      }
+      this.adapter.write(JOURNAL_FILE, '');
+    });
+  }
+
+  /**
+   * Put back the contents files had before a failed commit, then drop the
+   * commit's journal record. If a file cannot be restored the record is kept,
+   * and the commit is completed by the next replay instead.
+   * @private
+   * @param {object[]} files - Entries of { name } that may have been written
+   * @param {Array<string|null>} contents - Previous contents, null for a new file
+   */
+  _restoreFiles(files, contents) {
+    try {
+      files.forEach((file, i) => {
+        if (contents[i] === null) this.adapter.delete(file.name);
+        else this.adapter.write(file.name, contents[i]);
+      });
+    } catch (error) {
+      return;
+    }
+    this._clearJournal();
+  }
+
+  /**
+   * Empty the journal, ignoring errors: a failed commit's record may be left,
+   * and is replayed later
+   * @private
+   */
+  _clearJournal() {
+    try {
+      this.adapter.write(JOURNAL_FILE, '');
+    } catch (error) {
+      // Nothing more can be done without storage
+    }
+  }
+
+  /**
+   * Hold the journal's lock file so commits from several processes do not
+   * interleave in the journal
+   * @private
+   */
+  _withJournalLock(fn) {
+    if (!this.options.locking) return fn();
+
+    const lockName = `${JOURNAL_FILE}${LOCK_SUFFIX}`;
+    acquireLockSync(this.adapter, lockName, this.options.lockTimeout);
+    try {
+      return fn();
+    } finally {
+      this.adapter.unlock(lockName);
+    }
+  }
+
+  /**
+   * Re-apply journal records left behind by an interrupted commit. Runs on open
+   * and whenever a collection lock is taken, so no write lands before a pending
+   * record that would later overwrite it.
+   * @private
+   */
+  _replayJournal() {
+    if (!this.adapter.read(JOURNAL_FILE)) return;
+    // Another process may be in the middle of a commit; wait for it to finish
+    this._withJournalLock(() => this._replayJournalRecords());
+  }
+
+  /**
+   * Apply and clear the records of a journal
+   * @private
+   */
+  _replayJournalRecords() {
+    const content = this.adapter.read(JOURNAL_FILE) || '';
+    // Only newline-terminated records are complete; a torn last line means
+    // the commit never started replacing files, so it is dropped
+    const records = content.split('\n').slice(0, -1);
+    records.forEach(line => {
+      const record = JSON.parse(line);
+      // Log records are idempotent, so appending them a second time is harmless
+      record.files.forEach(file => writeDataFile(this.adapter, file));
+    });
+
+    if (content.length > 0) {
+      this.adapter.write(JOURNAL_FILE, '');
+    }
+  }
+
+  /**
+   * Restore every collection touched by the transaction
+   * @private
+   */
+  _rollbackTransaction() {
+    this._transaction.snapshots.forEach((snapshot, collection) => {
+      collection.documents = snapshot.documents;
+      collection._pendingOps.length = Math.min(collection._pendingOps.length, snapshot.pendingOps);
+      collection._rebuildDocumentMap();
+      collection._rebuildIndexes();
+    });
+  }
+}
+
+/**
+ * Collection - Handles documents within a collection
+ */
+class Collection extends EventEmitter {
+  constructor(name, db) {
+    super();
+    this.name = name;
+    this.db = db;
+    this.documents = [];
+    // Names of the collection's entries in the storage adapter
+    this.fileName = `${name}${STORAGE_EXTENSIONS.json}`;
+    this.logName = `${name}${STORAGE_EXTENSIONS.log}`;
+    this.metaName = `${name}${META_SUFFIX}`;
+    this.lockName = `${name}${LOCK_SUFFIX}`;
+    // Where those entries are with the default file adapter
+    this.filePath = path.join(db.dbPath, this.fileName);
+    this.logPath = path.join(db.dbPath, this.logName);
+    this.metaPath = path.join(db.dbPath, this.metaName);
+    this.lockPath = path.join(db.dbPath, this.lockName);
+    this._nextId = 1;
+    this._byId = new Map(); // _id -> document, used to resolve index hits
+    this._order = new Map(); // _id -> insertion sequence, keeps index hits in natural order
+    this._seq = 0;
+    this._deferSave = false; // Set while an async write runs its synchronous part
+    this._pendingSave = null; // Scheduled coalesced save
+    this._writeQueue = Promise.resolve(); // Serializes asynchronous file writes
+    this._pendingOps = []; // Log records not yet written (log storage)
+    this._logRecords = 0; // Records in the log file
+    this._forceSnapshot = false; // Rewrite the whole log on the next save
+    this._lockCount = 0; // Nested holders of the lock file in this process
+    this._signature = null; // Files on disk as of the last load or save
+    this._schema = null; // { validator, validationMode } set by setSchema
+    this._textIndex = null; // Inverted index built by createTextIndex
+    // Fields encrypted inside documents: from the options plus those saved in meta
+    this._encryptedFields = (db.options.encryptedFields[name] || []).slice();
+    this._metaOutdated = this._encryptedFields.length > 0; // Meta lacks some of those fields
+    this._textSearches = new WeakMap(); // $text condition -> { index, version, scores }
+    this._hooks = { pre: {}, post: {} }; // operation -> hook functions
+    HOOK_OPERATIONS.forEach(operation => {
+      this._hooks.pre[operation] = [];
+      this._hooks.post[operation] = [];
+    });
+  }
+
+  /**
+   * Insert one or multiple documents
+   * @param {object|object[]} data - Document(s) to insert
+   * @returns {object|object[]} Inserted document(s) with _id
+   */
+  insert(data) {
+    return this._insertDocuments(data, false);
+  }
+
+  /**
+   * Insert documents, optionally keeping the _id and _createdAt they already have
+   * @private
+   */
+  _insertDocuments(data, keepIds) {
+    return this._withWriteLock(() => {
+      const isArray = Array.isArray(data);
+      const documents = isArray ? data : [data];
+      const inserted = [];
+
+      // Run hooks and check the whole batch against the schema before inserting any of it
+      const prepared = documents.map(doc => {
+        if (keepIds && doc._id !== undefined && typeof doc._id !== 'string') {
+          throw new Error('_id must be a string');
+        }
+        const document = {
+          ...doc,
+          _id: keepIds && doc._id !== undefined ? doc._id : this._generateId(),
+          _createdAt: keepIds && typeof doc._createdAt === 'string' ? doc._createdAt : new Date().toISOString(),
+          _updatedAt: new Date().toISOString()
+        };
+        const hooked = this._runPreHooks('insert', document);
+        if (hooked._id !== document._id) {
+          throw new Error('Cannot modify _id');
+        }
+        this._enforceSchema(hooked);
+        return hooked;
+      });
+      this._validateUniqueBatch(prepared);
+      this._beginWrite();
+
+      prepared.forEach(document => {
+        this.documents.push(document);
+        this._trackDocument(document);
+        this._recordOp({ op: 'insert', doc: document });
+        inserted.push(document);
+
+        // Update indexes
+        this._updateIndexes(document, 'insert');
+      });
+
+      this._save();
+      this._notify('insert', inserted.map(document => ({ document })));
+      return isArray ? inserted : inserted[0];
+    });
+  }
+
+  /**
+   * Find documents matching query
+   * @param {object} query - Query object (MongoDB-style)
+   * @param {object} options - Query options (limit, sort, skip, projection, cursor)
+   * @returns {array|Cursor} Array of matching documents, or a lazy Cursor with cursor: true
+   */
+  find(query = {}, options = {}) {
+    const cursor = new Cursor(this, query, options);
+    return options.cursor ? cursor : cursor.toArray();
+  }
+
+  /**
+   * Find one document matching query
+   * @param {object} query - Query object
+   * @param {object} options - Query options
+   * @returns {object|null} Matching document or null
+   */
+  findOne(query = {}, options = {}) {
+    const results = this.find(query, { ...options, limit: 1 });
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * Update documents matching query
+   * @param {object} query - Query object
+   * @param {object} update - Update operators ($set, $push, ...) or fields to assign
+   * @param {object} options - Update options (multi, upsert)
+   * @returns {object} Update result
+   */
+  update(query, update, options = {}) {
+    return this._withWriteLock(() => {
+      validateUpdate(update);
+      const matches = this._filter(query);
+
+      if (matches.length === 0 && options.upsert) {
+        const seed = this._applyUpdate(this._upsertSeed(query), update, query, true);
+        const newDoc = this.insert(seed);
+        return { modifiedCount: 1, upsertedCount: 1, upsertedId: newDoc._id };
+      }
+
+      const toUpdate = options.multi !== false ? matches : matches.slice(0, 1);
+      const applied = [];
+      this._beginWrite();
+
+      try {
+        toUpdate.forEach(doc => {
+          let updatedDoc = this._applyUpdate(doc, update, query, false);
+          updatedDoc._updatedAt = new Date().toISOString();
+          updatedDoc = this._runPreHooks('update', updatedDoc, doc);
+          if (updatedDoc._id !== doc._id) {
+            throw new Error('Cannot modify _id');
+          }
+          this._enforceSchema(updatedDoc);
+
+          // Validate unique constraints before applying update
+          this._validateUniqueIndexesOnUpdate(updatedDoc, doc._id);
+
+          applied.push({ doc, previous: cloneValue(doc) });
+          this._replaceDocument(doc, updatedDoc);
+        });
+      } catch (error) {
+        // Undo documents already changed by this call so a failed update leaves no partial writes
+        applied.reverse().forEach(({ doc, previous }) => this._replaceDocument(doc, previous));
+        throw error;
+      }
+      applied.forEach(({ doc }) => this._recordOp({ op: 'update', doc }));
+
+      this._save();
+      this._notify('update', applied.map(({ doc, previous }) => ({ document: doc, previous })));
+      return { modifiedCount: applied.length };
+    });
+  }
+
+  /**
+   * Delete documents matching query
+   * @param {object} query - Query object
+   * @param {object} options - Delete options (multi)
+   * @returns {object} Delete result
+   */
+  delete(query, options = {}) {
+    return this._withWriteLock(() => {
+      const matches = this._filter(query);
+      const deleteMulti = options.multi !== false;
+
+      const toDelete = deleteMulti ? matches : matches.slice(0, 1);
+      // A pre hook rejects the delete by throwing, before any document is removed
+      toDelete.forEach(doc => this._runPreHooks('delete', doc));
+      return { deletedCount: this._deleteDocuments(toDelete) };
+    });
+  }
+
+  /**
+   * Delete documents whose TTL index date has passed. Runs on a timer and when
+   * the collection is loaded; expired documents are left out of reads before that.
+   * Delete hooks do not run, but 'delete' change events are emitted.
+   * @returns {object} Delete result
+   */
+  purgeExpired() {
+    return this._withWriteLock(() => {
+      const ttlIndexes = this._ttlIndexes();
+      const now = Date.now();
+      const expired = this.documents.filter(doc => this._isExpired(doc, ttlIndexes, now));
+      if (expired.length === 0) return { deletedCount: 0 };
+      return { deletedCount: this._deleteDocuments(expired) };
+    });
+  }
+
+  /**
+   * Delete expired documents; resolves once the change is on disk
+   * @returns {Promise<object>} Delete result
+   */
+  async purgeExpiredAsync() {
+    return this._writeDeferred(() => this.purgeExpired());
+  }
+
+  /**
+   * Page through matching documents by keyset. Each page starts right after the
+   * last document of the previous one, so writes between requests never shift
+   * or repeat documents the way skip does.
+   * @param {object} query - Query object
+   * @param {object} options - Page options
+   * @param {object} options.sort - Sort specification; _id is added as a tiebreaker
+   * @param {string} options.after - nextCursor of the previous page
+   * @param {number} options.limit - Page size (default 20)
+   * @param {object} options.projection - Field projection for the items
+   * @returns {object} { items, nextCursor, hasMore }
+   */
+  paginate(query = {}, options = {}) {
+    const limit = options.limit === undefined ? 20 : options.limit;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('Pagination limit must be a positive integer');
+    }
+    const sortFields = Object.entries(options.sort || {})
+      .map(([field, direction]) => [field, direction === -1 || direction === 'desc' ? -1 : 1]);
+    if (!sortFields.some(([field]) => field === '_id')) {
+      sortFields.push(['_id', 1]);
+    }
+    const after = options.after ? decodePageToken(options.after, sortFields) : null;
+    validateQuery(query);
+    this._refresh();
+
+    const compareKeys = (a, b) => {
+      for (let i = 0; i < sortFields.length; i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result * sortFields[i][1];
+      }
+      return 0;
+    };
+
+    const entries = [];
+    this._pageCandidates(query, sortFields[0], after).forEach(doc => {
+      if (!this._matchesQuery(doc, query)) return;
+      const key = sortFields.map(([field]) => getPath(doc, field));
+      if (after && compareKeys(key, after) <= 0) return;
+      entries.push({ doc, key });
+    });
+    entries.sort((a, b) => compareKeys(a.key, b.key));
+
+    const page = entries.slice(0, limit);
+    const hasMore = entries.length > limit;
+    return {
+      items: page.map(({ doc }) => (options.projection ? this._applyProjection(doc, options.projection, query) : doc)),
+      nextCursor: hasMore ? encodePageToken(sortFields, page[page.length - 1].key) : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Count documents matching query
+   * @param {object} query - Query object
+   * @returns {number} Count of matching documents
+   */
+  count(query = {}) {
+    this._refresh();
+    return this._filter(query).length;
+  }
+
+  /**
+   * Remove all documents from collection
+   * @returns {boolean} Success status
+   */
+  remove() {
+    return this._withWriteLock(() => {
+      this._beginWrite();
+      this.documents = [];
+      this._rebuildDocumentMap();
+      this._recordOp({ op: 'clear' });
+
+      const collectionIndexes = this.db.indexes.get(this.name);
+      if (collectionIndexes) {
+        collectionIndexes.forEach(index => {
+          index.values.clear();
+          index.dates.clear();
+        });
+      }
+      if (this._textIndex) this._buildTextIndex(this._textIndex);
+
+      this._save();
+      this._notify('remove', [{}]);
+      return true;
+    });
+  }
+
+  /**
+   * Insert documents; resolves once the change is on disk
+   * @param {object|object[]} data - Document(s) to insert
+   * @returns {Promise<object|object[]>} Inserted document(s)
+   */
+  async insertAsync(data) {
+    return this._writeDeferred(() => this.insert(data));
+  }
+
+  /**
+   * Find documents matching query
+   * @param {object} query - Query object
+   * @param {object} options - Query options
+   * @returns {Promise<object[]>} Matching documents
+   */
+  async findAsync(query = {}, options = {}) {
+    return this.find(query, options);
+  }
+
+  /**
+   * Find one document matching query
+   * @param {object} query - Query object
+   * @param {object} options - Query options
+   * @returns {Promise<object|null>} Matching document or null
+   */
+  async findOneAsync(query = {}, options = {}) {
+    return this.findOne(query, options);
+  }
+
+  /**
+   * Update documents; resolves once the change is on disk
+   * @param {object} query - Query object
+   * @param {object} update - Update specification
+   * @param {object} options - Update options
+   * @returns {Promise<object>} Update result
+   */
+  async updateAsync(query, update, options = {}) {
+    return this._writeDeferred(() => this.update(query, update, options));
+  }
+
+  /**
+   * Delete documents; resolves once the change is on disk
+   * @param {object} query - Query object
+   * @param {object} options - Delete options
+   * @returns {Promise<object>} Delete result
+   */
+  async deleteAsync(query, options = {}) {
+    return this._writeDeferred(() => this.delete(query, options));
+  }
+
+  /**
+   * Count documents matching query
+   * @param {object} query - Query object
+   * @returns {Promise<number>} Count
+   */
+  async countAsync(query = {}) {
+    return this.count(query);
+  }
+
+  /**
+   * Remove all documents; resolves once the change is on disk
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeAsync() {
+    return this._writeDeferred(() => this.remove());
+  }
+
+  /**
+   * Rewrite the collection's storage from its current documents. With log
+   * storage this drops superseded records, leaving one insert per document.
+   * @returns {boolean} Success status
+   */
+  compact() {
+    return this._withWriteLock(() => {
+      this._forceSnapshot = true;
+      this._save();
+      return true;
+    });
+  }
+
+  /**
+   * Compact the collection's storage; resolves once the rewrite is on disk
+   * @returns {Promise<boolean>} Success status
+   */
+  async compactAsync() {
+    return this._writeDeferred(() => this.compact());
+  }
+
+  /**
+   * Write matching documents to a file or stream. JSON and NDJSON keep Date,
+   * Buffer, BigInt and RegExp values as typed wrappers; CSV has a column per
+   * dot path, with arrays written as JSON and dates as ISO strings.
+   * @param {string|Writable} target - File path (replaced) or writable stream (left open)
+   * @param {object} options - Export options
+   * @param {string} options.format - 'json', 'ndjson' or 'csv' (default: from the
+   *   file extension, else 'json')
+   * @param {object} options.query - Documents to export (default: all)
+   * @param {object} options.projection - Fields to include
+   * @param {object} options.sort - Sort order
+   * @returns {Promise<object>} { exportedCount }
+   */
+  async export(target, options = {}) {
+    const format = dataFormat(target, options.format);
+    const documents = this.find(options.query || {}, { projection: options.projection, sort: options.sort });
+
+    let chunks;
+    if (format === 'ndjson') {
+      chunks = documents.map(doc => stringifyTyped(doc) + '\n');
+    } else if (format === 'csv') {
+      const rows = documents.map(doc => flattenDocument(doc));
+      const columns = Array.from(new Set([].concat(...rows.map(row => Object.keys(row)))));
+      chunks = [columns.map(column => csvQuote(column)).join(',') + '\n']
+        .concat(rows.map(row => columns.map(column => csvField(row[column])).join(',') + '\n'));
+    } else {
+      chunks = ['[\n', documents.map(doc => '  ' + stringifyTyped(doc)).join(',\n'), '\n]\n'];
+    }
+
+    if (typeof target === 'string') {
+      await writeFileAtomicAsync(path.resolve(target), chunks.join(''));
+    } else {
+      await writeToStream(target, chunks);
+    }
+    return { exportedCount: documents.length };
+  }
+
+  /**
+   * Load documents from a file or stream. Each row is inserted (or upserted) on
+   * its own, through hooks, schema and unique indexes; rows that fail are
+   * reported and the rest are still imported, all in one write. An _id in the
+   * data is kept, so exported documents keep their ids.
+   * @param {string|Readable} source - File path or readable stream
+   * @param {object} options - Import options
+   * @param {string} options.format - 'json', 'ndjson' or 'csv' (default: from the
+   *   file extension, else 'json')
+   * @param {string} options.mode - 'insert' (default) or 'upsert'
+   * @param {string} options.upsertKey - Field matching rows to existing documents in
+   *   upsert mode (default: '_id')
+   * @returns {Promise<object>} { insertedCount, updatedCount, errors: [{ row, error }] }
+   */
+  async import(source, options = {}) {
+    const format = dataFormat(source, options.format);
+    const mode = options.mode || 'insert';
+    if (mode !== 'insert' && mode !== 'upsert') {
+      throw new Error(`Unknown import mode: ${mode}. Expected 'insert' or 'upsert'`);
+    }
+    const upsertKey = options.upsertKey || '_id';
+
+    const text = typeof source === 'string'
+      ? await fs.promises.readFile(path.resolve(source), 'utf8')
+      : await readStream(source);
+    const records = parseRecords(text, format);
+
+    const report = { insertedCount: 0, updatedCount: 0, errors: [] };
+    const importRecords = () => records.forEach(({ row, doc, error }) => {
+      try {
+        if (error) throw new Error(error);
+        if (!isPlainObject(doc)) throw new Error('Row is not a document');
+        const key = mode === 'upsert' ? getPath(doc, upsertKey) : undefined;
+        if (mode === 'upsert' && key === undefined) {
+          throw new Error(`Row has no ${upsertKey}`);
+        }
+        const existing = key === undefined ? null : this.findOne({ [upsertKey]: { $eq: key } });
+        if (existing) {
+          const fields = { ...doc };
+          SYSTEM_FIELDS.forEach(field => delete fields[field]);
+          this.update({ _id: existing._id }, { $set: fields }, { multi: false });
+          report.updatedCount++;
+        } else {
+          this._insertDocuments(doc, true);
+          report.insertedCount++;
+        }
+      } catch (rowError) {
+        report.errors.push({ row, error: rowError.message });
+      }
+    });
+
+    // A transaction saves every imported row at once; inside one, rows are already deferred
+    if (this.db._transaction) {
+      importRecords();
+    } else {
+      this.db.transaction(importRecords);
+    }
+    return report;
+  }
+
+  /**
+   * Run an aggregation pipeline over the collection
+   * @param {object[]} pipeline - Stages: $match, $group, $project, $addFields, $sort,
+   *   $limit, $skip, $unwind, $lookup, $count
+   * @returns {object[]} Resulting documents (copies, never the stored documents)
+   */
+  aggregate(pipeline = []) {
+    if (!Array.isArray(pipeline)) {
+      throw new Error('Pipeline must be an array of stages');
+    }
+    this._refresh();
+
+    let results = null;
+    let textQuery = {}; // $match holding $text, for $sort on { $meta: 'textScore' }
+    pipeline.forEach((stage, i) => {
+      const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+      if (keys.length !== 1) {
+        throw new Error(`Pipeline stage ${i} must have exactly one operator`);
+      }
+      const [name] = keys;
+      const spec = stage[name];
+      if (name === '$match' && isPlainObject(spec) && spec.$text) textQuery = spec;
+
+      // A leading $match can use indexes; every later stage works on copies
+      if (results === null) {
+        results = (name === '$match' ? this._filter(spec) : this._withoutExpired(this.documents)).map(cloneValue);
+        if (name === '$match') return;
+      }
+
+      switch (name) {
+        case '$match':
+          validateQuery(spec);
+          results = results.filter(doc => this._matchesQuery(doc, spec));
+          break;
+        case '$group':
+          results = groupDocuments(results, spec);
+          break;
+        case '$project':
+          results = results.map(doc => projectDocument(doc, spec));
+          break;
+        case '$addFields':
+          results = results.map(doc => {
+            Object.keys(spec).forEach(field => setPath(doc, field, evaluateExpression(doc, spec[field])));
+            return doc;
+          });
+          break;
+        case '$sort':
+          results = this._sort(results, spec, textQuery);
+          break;
+        case '$skip':
+          results = results.slice(spec);
+          break;
+        case '$limit':
+          results = results.slice(0, spec);
+          break;
+        case '$unwind':
+          results = unwindDocuments(results, spec);
+          break;
+        case '$lookup':
+          results = results.map(doc => this._lookup(doc, spec));
+          break;
+        case '$count':
+          results = [{ [spec]: results.length }];
+          break;
+        default:
+          throw new Error(`Unknown pipeline stage: ${name}`);
+      }
+    });
+
+    return results === null ? this._withoutExpired(this.documents).map(cloneValue) : results;
+  }
+
+  /**
+   * Describe how a query would be executed
+   * @param {object} query - Query object
+   * @returns {object} Plan with the index used (or null) and number of candidates scanned
+   */
+  explain(query = {}) {
+    this._refresh();
+    const plan = this._planQuery(query);
+    return {
+      index: plan.index,
+      candidates: plan.documents.length,
+      total: this.documents.length
+    };
+  }
+
+  /**
+   * Create a unique index on a field
+   * Convenience method for creating unique indexes
+   * @param {string} field - Field name to create unique index on
+   * @param {object} options - Additional index options (sparse)
+   * @returns {boolean} Success status
+   */
+  createUniqueIndex(field, options = {}) {
+    return this.db.createIndex(this.name, field, { ...options, unique: true });
+  }
+
+  /**
+   * Create an index on a field. With expireAfterSeconds it is a TTL index:
+   * documents expire that many seconds after the date in the field.
+   * @param {string} field - Field name to create index on
+   * @param {object} options - Index options (unique, sparse, expireAfterSeconds)
+   * @returns {boolean} Success status
+   */
+  createIndex(field, options = {}) {
+    return this.db.createIndex(this.name, field, options);
+  }
+
+  /**
+   * Drop the index on a field
+   * @param {string} field - Indexed field name
+   * @returns {boolean} True if an index was dropped
+   */
+  dropIndex(field) {
+    return this.db.dropIndex(this.name, field);
+  }
+
+  /**
+   * List index definitions of this collection
+   * @returns {object[]} Index definitions ({ field, unique, sparse })
+   */
+  listIndexes() {
+    return this.db.listIndexes(this.name);
+  }
+
+  /**
+   * Create the collection's text index, replacing any existing one. Enables
+   * $text queries on the given string fields.
+   * @param {string|string[]} fields - Fields to index (strings or arrays of strings)
+   * @param {object} options - Text index options
+   * @param {object} options.weights - Weight per field (default 1)
+   * @param {string} options.language - 'english' (stemming and stop words) or 'none'
+   * @returns {boolean} Success status
+   */
+  createTextIndex(fields, options = {}) {
+    const fieldList = Array.isArray(fields) ? fields : [fields];
+    if (fieldList.length === 0 || !fieldList.every(field => typeof field === 'string')) {
+      throw new Error('createTextIndex requires one or more field names');
+    }
+    const language = options.language || 'english';
+    if (!TEXT_LANGUAGES.includes(language)) {
+      throw new Error(`Unsupported text index language: ${language}`);
+    }
+    const weights = {};
+    fieldList.forEach(field => {
+      const weight = options.weights && options.weights[field] !== undefined ? options.weights[field] : 1;
+      if (typeof weight !== 'number' || !(weight > 0)) {
+        throw new Error(`Text index weight for ${field} must be a positive number`);
+      }
+      weights[field] = weight;
+    });
+
+    return this._withWriteLock(() => {
+      this._buildTextIndex({ fields: fieldList, weights, language });
+      this._saveMeta();
+      return true;
+    });
+  }
+
+  /**
+   * Set the JSON Schema that inserted and updated documents must match.
+   * Existing documents are not checked.
+   * @param {object|null} schema - JSON Schema subset, or null to remove validation
+   * @param {object} options - Schema options
+   * @param {string} options.validationMode - 'strict' rejects invalid writes,
+   *   'warn' logs them and writes anyway (default 'strict')
+   * @returns {boolean} Success status
+   */
+  setSchema(schema, options = {}) {
+    const validationMode = options.validationMode || 'strict';
+    if (validationMode !== 'strict' && validationMode !== 'warn') {
+      throw new Error(`Invalid validation mode: ${validationMode}`);
+    }
+    if (schema !== null) checkSchema(schema);
+
+    return this._withWriteLock(() => {
+      this._schema = schema === null ? null : { validator: cloneValue(schema), validationMode };
+      this._saveMeta();
+      return true;
+    });
+  }
+
+  /**
+   * Get the collection's schema
+   * @returns {object|null} { validator, validationMode }, or null without validation
+   */
+  getSchema() {
+    this._refresh();
+    return this._schema ? cloneValue(this._schema) : null;
+  }
+
+  /**
+   * Check a document against the collection's schema without writing it
+   * @param {object} document - Document to check
+   * @returns {object} { valid, errors } with errors as { path, keyword, message }
+   */
+  validate(document) {
+    this._refresh();
+    const errors = this._schema ? validateSchema(document, this._schema.validator) : [];
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Watch changes made through this database instance
+   * @param {object} query - Only deliver changes whose document matches (default: all)
+   * @returns {ChangeStream} Stream emitting 'change' events, also usable with for await
+   */
+  watch(query = {}) {
+    validateQuery(query);
+    return new ChangeStream(this, query);
+  }
+
+  /**
+   * Register a hook that runs before each document is written. It receives the
+   * document (and for updates the stored document before the change); it may
+   * modify it or return a replacement, and throws to reject the whole write.
+   * @param {string} operation - 'insert', 'update' or 'delete'
+   * @param {function} hook - Hook function
+   * @returns {Collection} This collection, for chaining
+   */
+  pre(operation, hook) {
+    this._addHook('pre', operation, hook);
+    return this;
+  }
+
+  /**
+   * Register a hook that runs with each change record after the write is saved
+   * @param {string} operation - 'insert', 'update' or 'delete'
+   * @param {function} hook - Hook function
+   * @returns {Collection} This collection, for chaining
+   */
+  post(operation, hook) {
+    this._addHook('post', operation, hook);
+    return this;
+  }
+
+  /**
+   * Remove documents, save and emit change events
+   * @private
+   * @returns {number} Number of documents deleted
+   */
+  _deleteDocuments(documents) {
+    this._beginWrite();
+
+    const deleted = [];
+    documents.forEach(doc => {
+      const index = this.documents.indexOf(doc);
+      if (index !== -1) {
+        // Remove from indexes
+        this._updateIndexes(this.documents[index], 'delete');
+        this._untrackDocument(this.documents[index]);
+        this._recordOp({ op: 'delete', _id: doc._id });
+        this.documents.splice(index, 1);
+        deleted.push(doc);
+      }
+    });
+
+    this._save();
+    this._notify('delete', deleted.map(document => ({ document })));
+    return deleted.length;
+  }
+
+  /**
+   * TTL indexes of this collection
+   * @private
+   */
+  _ttlIndexes() {
+    const collectionIndexes = this.db.indexes.get(this.name);
+    if (!collectionIndexes) return [];
+    return Array.from(collectionIndexes.values()).filter(index => index.expireAfterSeconds !== undefined);
+  }
+
+  /**
+   * Check whether a TTL index has expired a document
+   * @private
+   */
+  _isExpired(doc, ttlIndexes, now) {
+    return ttlIndexes.some(index => {
+      const expiresAt = expiryTime(doc, index);
+      return expiresAt !== null && expiresAt <= now;
+    });
+  }
+
+  /**
+   * Leave out documents that expired but have not been deleted yet
+   * @private
+   */
+  _withoutExpired(documents) {
+    const ttlIndexes = this._ttlIndexes();
+    if (ttlIndexes.length === 0) return documents;
+    const now = Date.now();
+    return documents.filter(doc => !this._isExpired(doc, ttlIndexes, now));
+  }
+
+  /**
+   * Find documents matching query, using an index to narrow candidates when possible
+   * @private
+   */
+  _filter(query) {
+    validateQuery(query);
+    return this._planQuery(query).documents.filter(doc => this._matchesQuery(doc, query));
+  }
+
+  /**
+   * Pick the most selective index for a query and return its candidate documents.
+   * Candidates are a superset of the matches; the full query still runs on them.
+   * Expired documents are never candidates.
+   * @private
+   */
+  _planQuery(query) {
+    const plan = this._chooseIndex(query);
+    return { index: plan.index, documents: this._withoutExpired(plan.documents) };
+  }
+
+  /**
+   * Candidate documents of the most selective index, or every document
+   * @private
+   */
+  _chooseIndex(query) {
+    if (query.$text) {
+      return { index: '$text', documents: this._documentsById(this._textScores(query.$text).keys()) };
+    }
+
+    const collectionIndexes = this.db.indexes.get(this.name);
+    const fullScan = { index: null, documents: this.documents };
+    if (!collectionIndexes || collectionIndexes.size === 0) return fullScan;
+
+    // Every top-level field and every $and clause must hold, so any of them can narrow the scan
+    const conditions = [];
+    const collectConditions = clauses => {
+      Object.entries(clauses).forEach(([field, condition]) => {
+        if (field === '$and' && Array.isArray(condition)) {
+          condition.forEach(collectConditions);
+        } else if (!field.startsWith('$') && collectionIndexes.has(field)) {
+          conditions.push([field, condition]);
+        }
+      });
+    };
+    collectConditions(query);
+
+    let best = null;
+    for (const [field, condition] of conditions) {
+      const ids = this._scanIndex(collectionIndexes.get(field), condition);
+      if (ids && (best === null || ids.size < best.ids.size)) {
+        best = { field, ids };
+      }
+    }
+
+    if (best === null) return fullScan;
+    return { index: best.field, documents: this._documentsById(best.ids) };
+  }
+
+  /**
+   * Resolve document ids to documents in natural order
+   * @private
+   */
+  _documentsById(ids) {
+    const documents = [];
+    for (const id of ids) {
+      const doc = this._byId.get(id);
+      if (doc) documents.push(doc);
+    }
+    return documents.sort((a, b) => this._order.get(a._id) - this._order.get(b._id));
+  }
+
+  /**
+   * Collect document IDs from an index for an equality, $in or range condition
+   * @private
+   * @returns {Set|null} Matching IDs, or null if the condition cannot use the index
+   */
+  _scanIndex(index, condition) {
+    const ids = new Set();
+    const collect = value => {
+      const matched = index.values.get(indexKey(index, value));
+      if (matched) matched.forEach(id => ids.add(id));
+    };
+    // Only primitives and dates can be looked up by key; objects compare by value
+    const isKey = value => value === null || typeof value !== 'object' || value instanceof Date;
+
+    if (isKey(condition)) {
+      collect(condition);
+      return ids;
+    }
+
+    if (Array.isArray(condition)) {
+      if (!condition.every(isKey)) return null;
+      condition.forEach(collect);
+      return ids;
+    }
+
+    if (!isOperatorObject(condition)) return null;
+
+    if (condition.$eq !== undefined) {
+      if (!isKey(condition.$eq)) return null;
+      collect(condition.$eq);
+      return ids;
+    }
+
+    if (Array.isArray(condition.$in)) {
+      if (!condition.$in.every(isKey)) return null;
+      condition.$in.forEach(collect);
+      return ids;
+    }
+
+    let { $gt, $gte, $lt, $lte } = condition;
+    if ($gt === undefined && $gte === undefined && $lt === undefined && $lte === undefined) {
+      return null;
+    }
+
+    // On arrays each bound may be met by a different element, so only one side can narrow the scan
+    if (index.multikey && ($gt !== undefined || $gte !== undefined)) {
+      $lt = undefined;
+      $lte = undefined;
+    }
+
+    // Keys are compared like the query compares values, so the scan finds the same documents
+    index.values.forEach((matched, value) => {
+      if ($gt !== undefined && !(compareOperand(value, $gt) > 0)) return;
+      if ($gte !== undefined && !(compareOperand(value, $gte) >= 0)) return;
+      if ($lt !== undefined && !(compareOperand(value, $lt) < 0)) return;
+      if ($lte !== undefined && !(compareOperand(value, $lte) <= 0)) return;
+      matched.forEach(id => ids.add(id));
+    });
+    return ids;
+  }
+
+  /**
+   * Join documents from another collection of the same database ($lookup)
+   * @private
+   */
+  _lookup(doc, spec) {
+    const { from, localField, foreignField, as } = spec;
+    if (!from || !localField || !foreignField || !as) {
+      throw new Error('$lookup requires from, localField, foreignField and as');
+    }
+
+    const localValue = getPath(doc, localField);
+    let query;
+    if (localValue === undefined || localValue === null) {
+      query = { $or: [{ [foreignField]: null }, { [foreignField]: { $exists: false } }] };
+    } else if (Array.isArray(localValue)) {
+      query = { [foreignField]: { $in: localValue } };
+    } else {
+      query = { [foreignField]: localValue };
+    }
+
+    setPath(doc, as, this.db.collection(from).find(query).map(cloneValue));
+    return doc;
+  }
+
+  /**
+   * Check if document matches query
+   * @private
+   */
+  _matchesQuery(doc, query) {
+    for (const [key, value] of Object.entries(query)) {
+      if (key === '$text') {
+        if (!this._textScores(value).has(doc._id)) return false;
+      } else if (key.startsWith('$')) {
+        if (!this._matchesLogical(doc, key, value)) return false;
+      } else if (!this._matchesCondition(getPath(doc, key), value)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Evaluate a top-level logical operator ($and, $or, $nor)
+   * @private
+   */
+  _matchesLogical(doc, operator, clauses) {
+    switch (operator) {
+      case '$and':
+        return clauses.every(clause => this._matchesQuery(doc, clause));
+      case '$or':
+        return clauses.some(clause => this._matchesQuery(doc, clause));
+      default:
+        return !clauses.some(clause => this._matchesQuery(doc, clause));
+    }
+  }
+
+  /**
+   * Check a field value against a query condition (literal, array, RegExp or operators)
+   * @private
+   */
+  _matchesCondition(actual, condition) {
+    if (isOperatorObject(condition)) {
+      return Object.keys(condition).every(operator =>
+        this._matchesOperator(actual, operator, condition[operator], condition)
+      );
+    }
+    if (Array.isArray(condition)) {
+      return condition.some(value => this._matchesValue(actual, value));
+    }
+    return this._matchesValue(actual, condition);
+  }
+
+  /**
+   * Compare a field value with a literal (or RegExp). An array field matches
+   * when the whole array or any of its elements equals the literal.
+   * @private
+   */
+  _matchesValue(actual, value) {
+    const matches = item => value instanceof RegExp
+      ? typeof item === 'string' && value.test(item)
+      : valuesEqual(item, value);
+
+    return matches(actual) || (Array.isArray(actual) && actual.some(matches));
+  }
+
+  /**
+   * Check an array element against an $elemMatch argument
+   * @private
+   */
+  _matchesElement(element, condition) {
+    if (isFieldOperatorObject(condition)) {
+      return this._matchesCondition(element, condition);
+    }
+    return isPlainObject(element) && this._matchesQuery(element, condition);
+  }
+
+  /**
+   * Evaluate a single field operator
+   * @private
+   */
+  _matchesOperator(actual, operator, operand, condition) {
+    switch (operator) {
+      case '$ne':
+        return !this._matchesValue(actual, operand);
+      case '$nin':
+        return !operand.some(value => this._matchesValue(actual, value));
+      case '$options':
+        return true;
+      case '$exists':
+        return (actual !== undefined) === Boolean(operand);
+      case '$not':
+        return !this._matchesCondition(actual, operand);
+      case '$size':
+        return Array.isArray(actual) && actual.length === operand;
+      case '$all':
+        return Array.isArray(actual) && operand.length > 0 && operand.every(value =>
+          isPlainObject(value) && value.$elemMatch !== undefined
+            ? actual.some(element => this._matchesElement(element, value.$elemMatch))
+            : this._matchesValue(actual, value)
+        );
+      case '$elemMatch':
+        return Array.isArray(actual) && actual.some(element => this._matchesElement(element, operand));
+      default:
+        // Comparison operators hold for an array when the array itself or any element satisfies them
+        return this._compareValue(actual, operator, operand, condition) ||
+          (Array.isArray(actual) && actual.some(element => this._compareValue(element, operator, operand, condition)));
+    }
+  }
+
+  /**
+   * Evaluate a comparison operator against a single value
+   * @private
+   */
+  _compareValue(value, operator, operand, condition) {
+    switch (operator) {
+      case '$eq':
+        return valuesEqual(value, operand);
+      case '$gt':
+        return compareOperand(value, operand) > 0;
+      case '$gte':
+        return compareOperand(value, operand) >= 0;
+      case '$lt':
+        return compareOperand(value, operand) < 0;
+      case '$lte':
+        return compareOperand(value, operand) <= 0;
+      case '$in':
+        return operand.some(item => item instanceof RegExp
+          ? typeof value === 'string' && item.test(value)
+          : valuesEqual(value, item));
+      case '$regex': {
+        if (!regexCache.has(condition)) {
+          regexCache.set(condition, new RegExp(operand, condition.$options || ''));
+        }
+        return typeof value === 'string' && regexCache.get(condition).test(value);
+      }
+      case '$type': {
+        const types = Array.isArray(operand) ? operand : [operand];
+        return value !== undefined && types.some(type => TYPE_CHECKS[type](value));
+      }
+      default:
+        throw new Error(`Unknown query operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Documents that can follow a page's last key. An index on the first sort
+   * field skips everything before the key, unless the query plan is smaller.
+   * @private
+   */
+  _pageCandidates(query, [field, direction], after) {
+    const plan = this._planQuery(query);
+    const collectionIndexes = this.db.indexes.get(this.name);
+    const index = collectionIndexes && collectionIndexes.get(field);
+    if (!after || !index || index.multikey) return plan.documents;
+
+    const ids = [];
+    let indexed = 0;
+    index.values.forEach((matched, value) => {
+      indexed += matched.length;
+      if (compareValues(value, after[0]) * direction >= 0) {
+        matched.forEach(id => ids.push(id));
+      }
+    });
+    // Documents without the field are not indexed but sort first: they can only
+    // follow the key in descending order, or when the key itself is missing
+    const missing = indexed < this.documents.length;
+    if (missing && (direction === -1 || sortTypeRank(after[0]) === 0)) return plan.documents;
+    if (plan.index !== null && plan.documents.length <= ids.length) return plan.documents;
+
+    return this._withoutExpired(ids.map(id => this._byId.get(id)).filter(Boolean));
+  }
+
+  /**
+   * Sort documents
+   * @private
+   */
+  _sort(documents, sortSpec, query = {}) {
+    const fields = Object.entries(sortSpec).map(([field, direction]) => {
+      if (isTextScoreMeta(direction)) {
+        // Relevance sorts best match first
+        const scores = this._textScoresFor(query);
+        return { value: doc => scores.get(doc._id), multiplier: -1 };
+      }
+      const multiplier = direction === -1 || direction === 'desc' ? -1 : 1;
+      return { value: doc => getPath(doc, field), multiplier };
+    });
+
+    return documents.sort((a, b) => {
+      for (const { value, multiplier } of fields) {
+        const result = compareValues(value(a), value(b));
+        if (result !== 0) return result * multiplier;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Apply projection to document
+   * @private
+   */
+  _applyProjection(doc, projection, query = {}) {
+    const entries = Object.entries(projection);
+    const metaFields = entries.filter(([, include]) => isTextScoreMeta(include));
+    const includedFields = entries.filter(([, include]) => !isTextScoreMeta(include));
+
+    // A projection of only { score: { $meta: 'textScore' } } adds the score to the whole document
+    const projected = includedFields.length === 0 && metaFields.length > 0 ? { ...doc } : {};
+    for (const [field, include] of includedFields) {
+      if (include !== 0 && include !== false) {
+        if (field === '_id' || hasPath(doc, field)) {
+          setPath(projected, field, getPath(doc, field));
+        }
+      }
+    }
+    metaFields.forEach(([field]) => {
+      setPath(projected, field, this._textScoresFor(query).get(doc._id));
+    });
+    return projected;
+  }
+
+  /**
+   * Scores of a query's $text condition, for { $meta: 'textScore' }
+   * @private
+   */
+  _textScoresFor(query) {
+    if (!query.$text) {
+      throw new Error("{ $meta: 'textScore' } requires a $text query");
+    }
+    return this._textScores(query.$text);
+  }
+
+  /**
+   * Build the inverted text index from the collection's documents
+   * @private
+   */
+  _buildTextIndex(definition) {
+    this._textIndex = {
+      fields: definition.fields,
+      weights: definition.weights,
+      language: definition.language,
+      postings: new Map(), // term -> Map(_id -> weighted term frequency)
+      terms: new Map(), // _id -> terms of the document, for removal
+      version: 0
+    };
+    this.documents.forEach(doc => this._addToTextIndex(doc));
+  }
+
+  /**
+   * Add a document's terms to the text index
+   * @private
+   */
+  _addToTextIndex(document) {
+    const index = this._textIndex;
+    const frequencies = new Map();
+    index.fields.forEach(field => {
+      tokenizeText(documentText(document, field), index.language).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + index.weights[field]);
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!index.postings.has(term)) index.postings.set(term, new Map());
+      index.postings.get(term).set(document._id, frequency);
+    });
+    index.terms.set(document._id, Array.from(frequencies.keys()));
+    index.version++;
+  }
+
+  /**
+   * Remove a document's terms from the text index
+   * @private
+   */
+  _removeFromTextIndex(document) {
+    const index = this._textIndex;
+    const terms = index.terms.get(document._id);
+    if (!terms) return;
+
+    terms.forEach(term => {
+      const postings = index.postings.get(term);
+      postings.delete(document._id);
+      if (postings.size === 0) index.postings.delete(term);
+    });
+    index.terms.delete(document._id);
+    index.version++;
+  }
+
+  /**
+   * Relevance score per matching document id for a $text condition. Documents
+   * match if they contain any search term and every phrase, and no negated
+   * term or phrase. Results are cached until the text index changes.
+   * @private
+   * @returns {Map} _id -> score
+   */
+  _textScores(textCondition) {
+    const index = this._textIndex;
+    if (!index) {
+      throw new Error(`$text requires a text index on collection ${this.name}`);
+    }
+    const cached = this._textSearches.get(textCondition);
+    if (cached && cached.index === index && cached.version === index.version) {
+      return cached.scores;
+    }
+
+    const search = parseTextSearch(textCondition.$search, index.language);
+    const scores = new Map();
+    new Set(search.terms).forEach(term => {
+      const postings = index.postings.get(term);
+      if (!postings) return;
+      // Rare terms count more than terms found in most documents
+      const idf = Math.log(1 + index.terms.size / postings.size);
+      postings.forEach((frequency, id) => scores.set(id, (scores.get(id) || 0) + frequency * idf));
+    });
+
+    search.negatedTerms.forEach(term => {
+      const postings = index.postings.get(term);
+      if (postings) postings.forEach((frequency, id) => scores.delete(id));
+    });
+    if (search.phrases.length > 0 || search.negatedPhrases.length > 0) {
+      scores.forEach((score, id) => {
+        const doc = this._byId.get(id);
+        const text = ` ${index.fields.map(field => normalizeText(documentText(doc, field))).join(' | ')} `;
+        const contains = phrase => text.includes(` ${phrase} `);
+        if (!search.phrases.every(contains) || search.negatedPhrases.some(contains)) {
+          scores.delete(id);
+        }
+      });
     }
-    
-    // Load existing collections
-    this._loadCollections();
+
+    this._textSearches.set(textCondition, { index, version: index.version, scores });
+    return scores;
   }
 
   /**
-   * Get or create a collection
-   * @param {string} name - Collection name
-   * @returns {Collection} Collection instance
+   * Generate unique ID
+   * @private
    */
-  collection(name) {
-    if (!this.collections.has(name)) {
-      const collection = new Collection(name, this);
-      this.collections.set(name, collection);
-      collection._load(); // Load existing data
-    }
-    return this.collections.get(name);
+  _generateId() {
+    return `_${Date.now()}_${this._nextId++}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   /**
-   * Drop a collection
-   * @param {string} name - Collection name
-   * @returns {boolean} Success status
+   * Validate unique indexes before insert
+   * @private
    */
-  dropCollection(name) {
-    const filePath = path.join(this.dbPath, `${name}.json`);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+  _validateUniqueIndexes(document) {
+    const collectionIndexes = this.db.indexes.get(this.name);
+    if (!collectionIndexes) return;
+
+    collectionIndexes.forEach((index, field) => {
+      if (!index.unique) return;
+      indexKeys(index, getPath(document, field)).forEach(value => {
+        if (index.values.has(value)) {
+          throw new Error(`Duplicate key error: ${field} must be unique`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validate a batch of new documents against _id and unique indexes, including
+   * duplicates within the batch, so a failing batch changes nothing
+   * @private
+   */
+  _validateUniqueBatch(documents) {
+    const ids = new Set();
+    documents.forEach(document => {
+      if (this._byId.has(document._id) || ids.has(document._id)) {
+        throw new Error('Duplicate key error: _id must be unique');
+      }
+      ids.add(document._id);
+      this._validateUniqueIndexes(document);
+    });
+
+    const collectionIndexes = this.db.indexes.get(this.name);
+    if (!collectionIndexes || documents.length < 2) return;
+    collectionIndexes.forEach((index, field) => {
+      if (!index.unique) return;
+      const seen = new Set();
+      const seenDates = new Set(); // Times of dates, which are not equal as objects
+      documents.forEach(document => {
+        indexKeys(index, getPath(document, field)).forEach(value => {
+          const keys = value instanceof Date ? seenDates : seen;
+          const key = value instanceof Date ? value.getTime() : value;
+          if (keys.has(key)) {
+            throw new Error(`Duplicate key error: ${field} must be unique`);
+          }
+          keys.add(key);
+        });
+      });
+    });
+  }
+
+  /**
+   * Validate unique indexes before update
+   * @private
+   */
+  _validateUniqueIndexesOnUpdate(document, documentId) {
+    const collectionIndexes = this.db.indexes.get(this.name);
+    if (!collectionIndexes) return;
+
+    collectionIndexes.forEach((index, field) => {
+      if (!index.unique) return;
+      indexKeys(index, getPath(document, field)).forEach(value => {
+        if (index.values.has(value)) {
+          // Check if the value belongs to this document or another one
+          const documentIds = index.values.get(value);
+          if (!documentIds.includes(documentId)) {
+            throw new Error(`Duplicate key error: ${field} must be unique`);
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Update indexes when document changes
+   * @private
+   */
+  _updateIndexes(document, operation) {
+    if (this._textIndex) {
+      if (operation === 'delete') {
+        this._removeFromTextIndex(document);
+      } else {
+        this._addToTextIndex(document);
+      }
     }
-    this.collections.delete(name);
-    this.indexes.delete(name);
-    return true;
+
+    const collectionIndexes = this.db.indexes.get(this.name);
+    if (!collectionIndexes) return;
+
+    collectionIndexes.forEach(index => {
+      if (operation === 'delete') {
+        this._removeFromIndex(index, document);
+      } else {
+        this._addToIndex(index, document);
+      }
+    });
   }
 
   /**
-   * List all collection names
-   * @returns {string[]} Array of collection names
+   * Add a document's current values to an index
+   * @private
    */
-  listCollections() {
-    return fs.existsSync(this.dbPath)
-      ? fs.readdirSync(this.dbPath)
-          .filter(file => file.endsWith('.json'))
-          .map(file => path.basename(file, '.json'))
-      : [];
+  _addToIndex(index, document) {
+    const fieldValue = getPath(document, index.field);
+    if (Array.isArray(fieldValue)) index.multikey = true;
+
+    indexKeys(index, fieldValue).forEach(value => {
+      if (!index.values.has(value)) {
+        index.values.set(value, []);
+        if (value instanceof Date) index.dates.set(value.getTime(), value);
+      }
+      if (!index.values.get(value).includes(document._id)) {
+        index.values.get(value).push(document._id);
+      }
+    });
   }
 
   /**
-   * Create an index on a collection field
-   * @param {string} collectionName - Collection name
-   * @param {string} field - Field name to index
-   * @param {object} options - Index options (unique, sparse)
-   * @returns {boolean} Success status
+   * Remove document ID from the entries for its current values
+   * @private
    */
-  createIndex(collectionName, field, options = {}) {
-    const collection = this.collection(collectionName);
-    if (!this.indexes.has(collectionName)) {
-      this.indexes.set(collectionName, new Map());
+  _removeFromIndex(index, document) {
+    indexKeys(index, getPath(document, index.field)).forEach(value => {
+      const ids = index.values.get(value);
+      if (!ids) return;
+      const pos = ids.indexOf(document._id);
+      if (pos !== -1) {
+        ids.splice(pos, 1);
+        if (ids.length === 0) {
+          index.values.delete(value);
+          if (value instanceof Date) index.dates.delete(value.getTime());
+        }
+      }
+    });
+  }
+
+  /**
+   * Apply update operators to a copy of a document
+   * @private
+   * @param {object} doc - Current document
+   * @param {object} update - Update specification
+   * @param {object} query - Query that selected the document (for the positional $ operator)
+   * @param {boolean} isInsert - True when building an upserted document
+   * @returns {object} Updated copy
+   */
+  _applyUpdate(doc, update, query, isInsert) {
+    const updatedDoc = cloneValue(doc);
+    const operators = Object.keys(update);
+
+    // Direct assignment (no operators)
+    if (!operators.some(key => key.startsWith('$'))) {
+      operators.forEach(key => setPath(updatedDoc, key, cloneValue(update[key])));
+      return updatedDoc;
     }
-    
-    const collectionIndexes = this.indexes.get(collectionName);
-    const indexKey = `${field}_${options.unique ? 'unique' : ''}`;
-    
-    collectionIndexes.set(field, {
-      field,
-      unique: options.unique || false,
-      sparse: options.sparse || false,
-      values: new Map()
+
+    operators.forEach(operator => {
+      if (operator === '$setOnInsert' && !isInsert) return;
+
+      // Legacy array form: { $unset: ['field'] }
+      const spec = operator === '$unset' && Array.isArray(update.$unset)
+        ? update.$unset.reduce((fields, field) => ({ ...fields, [field]: '' }), {})
+        : update[operator];
+
+      Object.keys(spec).forEach(fieldPath => {
+        this._expandUpdatePath(updatedDoc, fieldPath, query).forEach(resolvedPath => {
+          applyUpdateOperator(updatedDoc, operator, resolvedPath, spec[fieldPath], (element, condition) =>
+            this._matchesPullCondition(element, condition)
+          );
+        });
+      });
     });
 
-    // Build index from existing documents
-    collection.find().forEach(doc => {
-      if (doc[field] !== undefined) {
-        const index = collectionIndexes.get(field);
-        const value = doc[field];
-        if (!index.values.has(value)) {
-          index.values.set(value, []);
+    return updatedDoc;
+  }
+
+  /**
+   * Resolve positional segments in an update path: '$' becomes the first array
+   * position matched by the query, '$[]' expands to every position
+   * @private
+   */
+  _expandUpdatePath(doc, fieldPath, query) {
+    const parts = fieldPath.split('.');
+    const position = parts.findIndex(part => part === '$' || part === '$[]');
+    if (position === -1) return [fieldPath];
+
+    const arrayPath = parts.slice(0, position).join('.');
+    const rest = parts.slice(position + 1);
+    const array = getPath(doc, arrayPath);
+    if (!Array.isArray(array)) {
+      throw new Error(`Cannot apply positional operator: ${arrayPath} is not an array`);
+    }
+
+    let indexes;
+    if (parts[position] === '$[]') {
+      indexes = array.map((element, i) => i);
+    } else {
+      const matched = this._positionalMatch(array, arrayPath, query);
+      if (matched === -1) {
+        throw new Error(`The positional operator did not find the match needed from the query: ${fieldPath}`);
+      }
+      indexes = [matched];
+    }
+
+    const expanded = [];
+    indexes.forEach(i => {
+      const prefix = [...parts.slice(0, position), String(i)].join('.');
+      if (rest.length === 0) {
+        expanded.push(prefix);
+      } else {
+        this._expandUpdatePath(doc, `${prefix}.${rest.join('.')}`, query).forEach(p => expanded.push(p));
+      }
+    });
+    return expanded;
+  }
+
+  /**
+   * Find the first array position that satisfies the query conditions on that array
+   * @private
+   */
+  _positionalMatch(array, arrayPath, query) {
+    const conditions = [];
+    const collectConditions = clauses => {
+      Object.entries(clauses || {}).forEach(([key, condition]) => {
+        if (key === '$and' && Array.isArray(condition)) {
+          condition.forEach(collectConditions);
+        } else if (key === arrayPath || key.startsWith(`${arrayPath}.`)) {
+          conditions.push([key.slice(arrayPath.length + 1), condition]);
+        }
+      });
+    };
+    collectConditions(query);
+    if (conditions.length === 0) return -1;
+
+    return array.findIndex(element => conditions.every(([subPath, condition]) => {
+      if (subPath === '') {
+        if (isPlainObject(condition) && condition.$elemMatch !== undefined) {
+          return this._matchesElement(element, condition.$elemMatch);
         }
-        index.values.get(value).push(doc._id);
+        return this._matchesCondition(element, condition);
+      }
+      return this._matchesCondition(getPath(element, subPath), condition);
+    }));
+  }
+
+  /**
+   * Check whether an array element should be removed by $pull
+   * @private
+   */
+  _matchesPullCondition(element, condition) {
+    if (isPlainObject(condition) && !isFieldOperatorObject(condition)) {
+      return isPlainObject(element) && this._matchesQuery(element, condition);
+    }
+    if (isOperatorObject(condition)) {
+      return this._matchesCondition(element, condition);
+    }
+    return this._matchesValue(element, condition);
+  }
+
+  /**
+   * Build the base document for an upsert from the query's equality conditions
+   * @private
+   */
+  _upsertSeed(query) {
+    const seed = {};
+    Object.keys(query).forEach(key => {
+      const condition = query[key];
+      if (key === '$and') {
+        condition.forEach(clause => Object.assign(seed, this._upsertSeed(clause)));
+      } else if (key.startsWith('$') || Array.isArray(condition) || condition instanceof RegExp) {
+        return;
+      } else if (isOperatorObject(condition)) {
+        if (condition.$eq !== undefined) setPath(seed, key, cloneValue(condition.$eq));
+      } else {
+        setPath(seed, key, cloneValue(condition));
       }
     });
+    return seed;
+  }
 
-    return true;
+  /**
+   * Validate and store a hook
+   * @private
+   */
+  _addHook(stage, operation, hook) {
+    if (!HOOK_OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown hook operation: ${operation}`);
+    }
+    if (typeof hook !== 'function') {
+      throw new Error('Hook must be a function');
+    }
+    this._hooks[stage][operation].push(hook);
   }
 
   /**
-   * Load existing collections from disk
+   * Pass a document through the pre hooks of an operation
    * @private
    */
-  _loadCollections() {
-    if (!fs.existsSync(this.dbPath)) return;
-    
-    const files = fs.readdirSync(this.dbPath).filter(file => file.endsWith('.json'));
-    files.forEach(file => {
-      const collectionName = path.basename(file, '.json');
-      // Collections will be loaded lazily when accessed
+  _runPreHooks(operation, document, previous) {
+    return this._hooks.pre[operation].reduce((current, hook) => {
+      const result = hook(current, previous);
+      return result === undefined ? current : result;
+    }, document);
+  }
+
+  /**
+   * Build change records for a completed write. Inside a transaction they are
+   * delivered after the commit, otherwise right away.
+   * @private
+   * @param {string} operationType - 'insert', 'update', 'delete' or 'remove'
+   * @param {object[]} entries - { document, previous } per changed document
+   */
+  _notify(operationType, entries) {
+    const observed = this.listenerCount('change') > 0 || this.db.listenerCount('change') > 0 ||
+      (this._hooks.post[operationType] || []).length > 0;
+    if (!observed) return;
+
+    const changes = entries.map(({ document, previous }) => {
+      const change = { operationType, collection: this.name };
+      if (document) {
+        change.documentId = document._id;
+        change.fullDocument = cloneValue(document);
+      }
+      if (previous) {
+        change.updateDescription = describeUpdate(previous, document);
+      }
+      change.timestamp = new Date().toISOString();
+      return change;
     });
+
+    const transaction = this.db._transaction;
+    if (transaction) {
+      changes.forEach(change => transaction.changes.push({ collection: this, change }));
+    } else {
+      changes.forEach(change => this._publish(change));
+    }
   }
 
   /**
-   * Get the database path
-   * @returns {string} Database path
+   * Emit a change record and run post hooks. The write is already saved, so a
+   * failing listener is logged; a failing post hook is passed to the caller.
+   * @private
+   */
+  _publish(change) {
+    [this, this.db].forEach(emitter => {
+      try {
+        emitter.emit('change', change);
+      } catch (error) {
+        console.error(`Error in change listener for collection ${this.name}:`, error.message);
+      }
+    });
+    (this._hooks.post[change.operationType] || []).forEach(hook => hook(change));
+  }
+
+  /**
+   * Reject (strict) or report (warn) a document that does not match the schema
+   * @private
+   */
+  _enforceSchema(document) {
+    if (!this._schema) return;
+    const errors = validateSchema(document, this._schema.validator);
+    if (errors.length === 0) return;
+
+    const error = new ValidationError(this.name, errors);
+    if (this._schema.validationMode === 'warn') {
+      console.warn(error.message);
+      return;
+    }
+    throw error;
+  }
+
+  /**
+   * Swap a stored document's contents in place, keeping indexes in sync
+   * @private
+   */
+  _replaceDocument(doc, contents) {
+    this._updateIndexes(doc, 'delete');
+    Object.keys(doc).forEach(key => {
+      delete doc[key];
+    });
+    Object.assign(doc, contents);
+    this._updateIndexes(doc, 'insert');
+  }
+
+  /**
+   * Mark the start of a write. Inside a transaction, the first write to this
+   * collection snapshots its documents so the transaction can roll back.
+   * @private
+   */
+  _beginWrite() {
+    const transaction = this.db._transaction;
+    if (transaction && !transaction.snapshots.has(this)) {
+      transaction.snapshots.set(this, {
+        documents: this.documents.map(cloneValue),
+        pendingOps: this._pendingOps.length
+      });
+    }
+  }
+
+  /**
+   * Run a write while holding the collection's lock file
+   * @private
+   */
+  _withWriteLock(write) {
+    this._lock();
+    try {
+      return write();
+    } finally {
+      this._unlock();
+    }
+  }
+
+  /**
+   * Take the lock file (or join this process's current holder). The first
+   * holder finishes any interrupted commit in the journal, then reloads the
+   * collection if another process changed it on disk.
+   * @private
+   */
+  _lock() {
+    if (!this.db.options.locking) return;
+    if (this._lockCount === 0) {
+      acquireLockSync(this.db.adapter, this.lockName, this.db.options.lockTimeout);
+    }
+    this._onLocked();
+  }
+
+  /**
+   * Asynchronous version of _lock that polls instead of blocking. Returns a
+   * promise only if it has to wait, so an uncontended write still changes
+   * memory synchronously.
+   * @private
+   * @returns {Promise<void>|null}
+   */
+  _lockAsync() {
+    if (!this.db.options.locking) return null;
+    if (this._lockCount > 0 || this.db.adapter.lock(this.lockName)) {
+      this._onLocked();
+      return null;
+    }
+    return this._waitForLock();
+  }
+
+  /**
+   * Poll for the lock file until it is acquired or lockTimeout passes
+   * @private
+   */
+  async _waitForLock() {
+    const deadline = Date.now() + this.db.options.lockTimeout;
+    // Checked again after every wait: a holder in this process can be joined directly
+    while (this._lockCount === 0 && !this.db.adapter.lock(this.lockName)) {
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock ${this.lockName}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    this._onLocked();
+  }
+
+  /**
+   * Count a new lock holder, right after the lock file is ours
+   * @private
+   */
+  _onLocked() {
+    if (this._lockCount === 0) {
+      try {
+        // A commit that died halfway is finished before this one can start
+        this.db._replayJournal();
+        if (this._diskSignature() !== this._signature) this._reload();
+      } catch (error) {
+        this.db.adapter.unlock(this.lockName);
+        throw error;
+      }
+    }
+    this._lockCount++;
+
+    // A transaction keeps the lock until it commits or rolls back
+    const transaction = this.db._transaction;
+    if (transaction && !transaction.locks.has(this)) {
+      transaction.locks.add(this);
+      this._lockCount++;
+    }
+  }
+
+  /**
+   * Release one hold on the lock file
+   * @private
+   */
+  _unlock() {
+    if (!this.db.options.locking) return;
+    if (--this._lockCount === 0) {
+      this.db.adapter.unlock(this.lockName);
+    }
+  }
+
+  /**
+   * Reload the collection before a read if another process changed its files.
+   * Nothing can change while this process holds the lock.
+   * @private
    */
-  getDbPath() {
-    return this.dbPath;
+  _refresh() {
+    if (!this.db.options.locking || this._lockCount > 0) return;
+    if (this._diskSignature() !== this._signature) this._reload();
   }
 
   /**
-   * Close database connection (cleanup)
+   * Signature of every file the collection is loaded from
+   * @private
    */
-  close() {
-    // Save all collections
-    this.collections.forEach(collection => {
-      collection._save();
-    });
+  _diskSignature() {
+    const adapter = this.db.adapter;
+    return [this.fileName, this.logName, this.metaName].map(name => adapter.signature(name)).join('|');
   }
-}
 
-/**
- * Collection - Handles documents within a collection
- */
-class Collection {
-  constructor(name, db) {
-    this.name = name;
-    this.db = db;
+  /**
+   * Read documents and index definitions from disk, replacing what is in memory
+   * @private
+   */
+  _reload() {
+    // Taken before reading: a write that lands mid-read is seen by the next check
+    const signature = this._diskSignature();
     this.documents = [];
-    this.filePath = path.join(db.dbPath, `${name}.json`);
-    this._nextId = 1;
+    this._pendingOps = [];
+    this._logRecords = 0;
+    this._forceSnapshot = false;
+    this._schema = null;
+    this._textIndex = null;
+    this.db.indexes.delete(this.name);
+    this._load();
+    this._loadMeta();
+    this._signature = signature;
   }
 
   /**
-   * Insert one or multiple documents
-   * @param {object|object[]} data - Document(s) to insert
-   * @returns {object|object[]} Inserted document(s) with _id
+   * Rebuild every index of this collection from the documents array
+   * @private
    */
-  insert(data) {
-    const isArray = Array.isArray(data);
-    const documents = isArray ? data : [data];
-    const inserted = [];
+  _rebuildIndexes() {
+    if (this._textIndex) this._buildTextIndex(this._textIndex);
 
-    documents.forEach(doc => {
-      const document = {
-        ...doc,
-        _id: this._generateId(),
-        _createdAt: new Date().toISOString(),
-        _updatedAt: new Date().toISOString()
-      };
-
-      // Validate unique indexes
-      this._validateUniqueIndexes(document);
-
-      this.documents.push(document);
-      inserted.push(document);
+    const collectionIndexes = this.db.indexes.get(this.name);
+    if (!collectionIndexes) return;
 
-      // Update indexes
-      this._updateIndexes(document, 'insert');
+    collectionIndexes.forEach(index => {
+      index.values.clear();
+      index.dates.clear();
+      index.multikey = false;
+      this.documents.forEach(doc => this._addToIndex(index, doc));
     });
-
-    this._save();
-    return isArray ? inserted : inserted[0];
   }
 
   /**
-   * Find documents matching query
-   * @param {object} query - Query object (MongoDB-style)
-   * @param {object} options - Query options (limit, sort, skip, projection)
-   * @returns {array} Array of matching documents
+   * Register a document in the _id lookup tables
+   * @private
    */
-  find(query = {}, options = {}) {
-    let results = this.documents.filter(doc => this._matchesQuery(doc, query));
-
-    // Apply sorting
-    if (options.sort) {
-      results = this._sort(results, options.sort);
-    }
+  _trackDocument(document) {
+    this._byId.set(document._id, document);
+    this._order.set(document._id, this._seq++);
+  }
 
-    // Apply skip
-    if (options.skip) {
-      results = results.slice(options.skip);
-    }
+  /**
+   * Remove a document from the _id lookup tables
+   * @private
+   */
+  _untrackDocument(document) {
+    this._byId.delete(document._id);
+    this._order.delete(document._id);
+  }
 
-    // Apply limit
-    if (options.limit) {
-      results = results.slice(0, options.limit);
-    }
+  /**
+   * Rebuild the _id lookup tables from the documents array
+   * @private
+   */
+  _rebuildDocumentMap() {
+    this._byId.clear();
+    this._order.clear();
+    this._seq = 0;
+    this.documents.forEach(doc => this._trackDocument(doc));
+  }
 
-    // Apply projection
-    if (options.projection) {
-      results = results.map(doc => this._applyProjection(doc, options.projection));
+  /**
+   * Load documents from disk
+   * @private
+   */
+  _load() {
+    const [primary, fallback] = this._dataNames();
+    const data = this.db.adapter.read(primary);
+    if (data !== null) {
+      this._parseData(primary, data);
+    } else {
+      const fallbackData = this.db.adapter.read(fallback);
+      if (fallbackData !== null) this._parseData(fallback, fallbackData);
     }
-
-    return results;
+    this._rebuildDocumentMap();
   }
 
   /**
-   * Find one document matching query
-   * @param {object} query - Query object
-   * @param {object} options - Query options
-   * @returns {object|null} Matching document or null
+   * Data file of the configured storage engine, then the other engine's file
+   * @private
    */
-  findOne(query = {}, options = {}) {
-    const results = this.find(query, { ...options, limit: 1 });
-    return results.length > 0 ? results[0] : null;
+  _dataNames() {
+    return this.db.options.storage === 'log'
+      ? [this.logName, this.fileName]
+      : [this.fileName, this.logName];
   }
 
   /**
-   * Update documents matching query
-   * @param {object} query - Query object
-   * @param {object} update - Update operations ($set, $unset, etc.)
-   * @param {object} options - Update options (multi, upsert)
-   * @returns {object} Update result
+   * Parse either storage format. Data found in the other engine's format is
+   * migrated by writing a full snapshot on the next save.
+   * @private
    */
-  update(query, update, options = {}) {
-    const matches = this.documents.filter(doc => this._matchesQuery(doc, query));
-    
-    if (matches.length === 0 && options.upsert) {
-      const newDoc = this.insert(query);
-      this.update({ _id: newDoc._id }, update);
-      return { modifiedCount: 1, upsertedCount: 1 };
+  _parseData(name, data) {
+    if (name === this.logName) {
+      this._parseLog(data);
+    } else {
+      this._parseDocuments(data);
     }
+    if (name !== this._dataNames()[0]) {
+      this._forceSnapshot = true;
+    }
+  }
 
-    let modifiedCount = 0;
-    const updateMulti = options.multi !== false;
-
-    for (let i = 0; i < matches.length; i++) {
-      const doc = matches[i];
-      const index = this.documents.indexOf(doc);
-      if (index === -1) continue;
-
-      // Create a copy to check unique constraints before applying
-      const updatedDoc = { ...this.documents[index] };
-
-      // Handle $set operator
-      if (update.$set) {
-        Object.assign(updatedDoc, update.$set);
-      }
-
-      // Handle $unset operator
-      if (update.$unset) {
-        update.$unset.forEach(field => {
-          delete updatedDoc[field];
-        });
-      }
-
-      // Handle $inc operator
-      if (update.$inc) {
-        Object.keys(update.$inc).forEach(field => {
-          updatedDoc[field] = (updatedDoc[field] || 0) + update.$inc[field];
-        });
-      }
-
-      // Direct assignment (if no operators)
-      if (!update.$set && !update.$unset && !update.$inc) {
-        Object.keys(update).forEach(key => {
-          updatedDoc[key] = update[key];
-        });
-      }
-
-      // Validate unique constraints before applying update
-      this._validateUniqueIndexesOnUpdate(updatedDoc, this.documents[index]._id);
-
-      // Apply changes to actual document
-      if (update.$set) {
-        Object.assign(this.documents[index], update.$set);
-      }
-
-      if (update.$unset) {
-        update.$unset.forEach(field => {
-          delete this.documents[index][field];
-        });
-      }
+  /**
+   * Replay an operation log into the documents array
+   * @private
+   */
+  _parseLog(data) {
+    const lines = data.split('\n');
+    // Text after the last newline is a record torn by a crash; it never completed
+    lines.pop();
 
-      if (update.$inc) {
-        Object.keys(update.$inc).forEach(field => {
-          this.documents[index][field] = (this.documents[index][field] || 0) + update.$inc[field];
-        });
+    const documents = new Map();
+    let records = 0;
+    lines.forEach((line, i) => {
+      if (line === '') return;
+      const text = this._unseal(line, this.logName);
+      let record;
+      try {
+        record = parseTyped(text, this.db._encryptionKey);
+      } catch (error) {
+        throw new Error(`Error loading collection ${this.name}: log file ${this.logPath} is corrupted at line ${i + 1} (${error.message})`);
       }
+      records++;
 
-      if (!update.$set && !update.$unset && !update.$inc) {
-        Object.keys(update).forEach(key => {
-          this.documents[index][key] = update[key];
-        });
+      if (record.op === 'insert' || record.op === 'update') {
+        documents.set(record.doc._id, record.doc);
+      } else if (record.op === 'delete') {
+        documents.delete(record._id);
+      } else if (record.op === 'clear') {
+        documents.clear();
+      } else {
+        throw new Error(`Error loading collection ${this.name}: unknown log operation '${record.op}' at line ${i + 1}`);
       }
+    });
 
-      this.documents[index]._updatedAt = new Date().toISOString();
-      modifiedCount++;
-
-      // Update indexes (need to remove old values first)
-      this._updateIndexes(this.documents[index], 'delete');
-      this._updateIndexes(this.documents[index], 'insert');
+    this._logRecords = records;
+    this._setDocuments(Array.from(documents.values()));
+  }
 
-      if (!updateMulti) break;
+  /**
+   * Parse a data file's contents into the documents array
+   * @private
+   */
+  _parseDocuments(data) {
+    const text = this._unseal(data, this.fileName);
+    let documents;
+    try {
+      documents = parseTyped(text, this.db._encryptionKey);
+    } catch (error) {
+      // Leave the file untouched so it can be inspected or restored from a backup
+      throw new Error(`Error loading collection ${this.name}: data file ${this.filePath} is corrupted (${error.message})`);
+    }
+    if (!Array.isArray(documents)) {
+      throw new Error(`Error loading collection ${this.name}: data file ${this.filePath} does not contain a document array`);
     }
+    this._setDocuments(documents);
+  }
 
-    this._save();
-    return { modifiedCount };
+  /**
+   * Replace the documents array with loaded documents
+   * @private
+   */
+  _setDocuments(documents) {
+    this.documents = documents;
+    // Set next ID based on existing documents
+    if (this.documents.length > 0) {
+      const lastId = this.documents[this.documents.length - 1]._id;
+      this._nextId = parseInt(lastId.split('_')[1]) + 1000 || this.documents.length + 1;
+    }
   }
 
   /**
-   * Delete documents matching query
-   * @param {object} query - Query object
-   * @param {object} options - Delete options (multi)
-   * @returns {object} Delete result
+   * Load index definitions from disk and rebuild the indexes
+   * @private
    */
-  delete(query, options = {}) {
-    const matches = this.documents.filter(doc => this._matchesQuery(doc, query));
-    const deleteMulti = options.multi !== false;
+  _loadMeta() {
+    const meta = this.db.adapter.read(this.metaName);
+    if (meta !== null) this._parseMeta(meta);
+  }
 
-    let deletedCount = 0;
-    const toDelete = deleteMulti ? matches : matches.slice(0, 1);
+  /**
+   * Parse index definitions and rebuild the indexes
+   * @private
+   */
+  _parseMeta(data) {
+    let meta;
+    try {
+      meta = JSON.parse(data);
+    } catch (error) {
+      // Refuse to continue without the unique constraints the file describes
+      throw new Error(`Error loading index metadata for collection ${this.name}: ${error.message}`);
+    }
 
-    toDelete.forEach(doc => {
-      const index = this.documents.indexOf(doc);
-      if (index !== -1) {
-        // Remove from indexes
-        this._updateIndexes(this.documents[index], 'delete');
-        this.documents.splice(index, 1);
-        deletedCount++;
-      }
+    (meta.indexes || []).forEach(definition => {
+      this.db._buildIndex(this, definition.field, definition);
     });
+    this._schema = meta.schema || null;
+    if (meta.textIndex) this._buildTextIndex(meta.textIndex);
 
-    this._save();
-    return { deletedCount };
+    // Fields stay encrypted even when the database is opened without listing them
+    const saved = meta.encryptedFields || [];
+    this._metaOutdated = this._encryptedFields.some(field => !saved.includes(field));
+    saved.forEach(field => {
+      if (!this._encryptedFields.includes(field)) this._encryptedFields.push(field);
+    });
   }
 
   /**
-   * Count documents matching query
-   * @param {object} query - Query object
-   * @returns {number} Count of matching documents
+   * Save index definitions to disk
+   * @private
    */
-  count(query = {}) {
-    return this.documents.filter(doc => this._matchesQuery(doc, query)).length;
+  _saveMeta() {
+    const textIndex = this._textIndex;
+    const meta = {
+      indexes: this.db.listIndexes(this.name).filter(index => !index.text),
+      schema: this._schema,
+      textIndex: textIndex
+        ? { fields: textIndex.fields, weights: textIndex.weights, language: textIndex.language }
+        : null
+    };
+    if (this._encryptedFields.length > 0) meta.encryptedFields = this._encryptedFields;
+    try {
+      this.db.adapter.write(this.metaName, JSON.stringify(meta, null, 2));
+    } catch (error) {
+      console.error(`Error saving metadata for collection ${this.name}:`, error.message);
+      throw error;
+    }
+    this._metaOutdated = false;
+    this._signature = this._diskSignature();
   }
 
   /**
-   * Remove all documents from collection
-   * @returns {boolean} Success status
+   * Load documents and index definitions with the adapter's async reads
+   * @private
    */
-  remove() {
-    this.documents = [];
-    this._save();
-    return true;
+  async _loadAsync() {
+    const signature = this._diskSignature();
+    const adapter = this.db.adapter;
+    const [primary, fallback] = this._dataNames();
+    const [data, meta] = await Promise.all([
+      adapter.readAsync(primary),
+      adapter.readAsync(this.metaName)
+    ]);
+    if (data !== null) {
+      this._parseData(primary, data);
+    } else {
+      const fallbackData = await adapter.readAsync(fallback);
+      if (fallbackData !== null) this._parseData(fallback, fallbackData);
+    }
+    this._rebuildDocumentMap();
+    if (meta !== null) this._parseMeta(meta);
+    this._signature = signature;
   }
 
   /**
-   * Create a unique index on a field
-   * Convenience method for creating unique indexes
-   * @param {string} field - Field name to create unique index on
-   * @param {object} options - Additional index options (sparse)
-   * @returns {boolean} Success status
+   * Run a synchronous write with its save deferred, then wait for the
+   * coalesced asynchronous save
+   * @private
    */
-  createUniqueIndex(field, options = {}) {
-    return this.db.createIndex(this.name, field, { ...options, unique: true });
+  async _writeDeferred(write) {
+    // The lock is held until the coalesced save is on disk
+    const waiting = this._lockAsync();
+    if (waiting) await waiting;
+    try {
+      this._deferSave = true;
+      let result;
+      try {
+        result = write();
+      } finally {
+        this._deferSave = false;
+      }
+      await this._scheduleSave();
+      return result;
+    } finally {
+      this._unlock();
+    }
   }
 
   /**
-   * Create an index on a field
-   * @param {string} field - Field name to create index on
-   * @param {object} options - Index options (unique, sparse)
-   * @returns {boolean} Success status
+   * Schedule a save after options.saveDelay. Writes arriving before it fires
+   * share the same save.
+   * @private
    */
-  createIndex(field, options = {}) {
-    return this.db.createIndex(this.name, field, options);
+  _scheduleSave() {
+    if (!this._pendingSave) {
+      this._pendingSave = new Promise((resolve, reject) => {
+        setTimeout(() => {
+          this._pendingSave = null;
+          this._writeAsync().then(resolve, reject);
+        }, this.db.options.saveDelay);
+      });
+    }
+    return this._pendingSave;
   }
 
   /**
-   * Check if document matches query
+   * Wait for a scheduled save and any write in progress
    * @private
    */
-  _matchesQuery(doc, query) {
-    for (const [key, value] of Object.entries(query)) {
-      if (key.startsWith('$')) continue; // Skip operators
-
-      if (typeof value === 'object' && !Array.isArray(value) && value !== null) {
-        // Handle query operators
-        if (value.$eq !== undefined && doc[key] !== value.$eq) return false;
-        if (value.$ne !== undefined && doc[key] === value.$ne) return false;
-        if (value.$gt !== undefined && doc[key] <= value.$gt) return false;
-        if (value.$gte !== undefined && doc[key] < value.$gte) return false;
-        if (value.$lt !== undefined && doc[key] >= value.$lt) return false;
-        if (value.$lte !== undefined && doc[key] > value.$lte) return false;
-        if (value.$in !== undefined && !value.$in.includes(doc[key])) return false;
-        if (value.$nin !== undefined && value.$nin.includes(doc[key])) return false;
-        if (value.$regex !== undefined) {
-          const regex = new RegExp(value.$regex, value.$options || '');
-          if (!regex.test(doc[key])) return false;
-        }
-      } else if (Array.isArray(value)) {
-        if (!value.includes(doc[key])) return false;
-      } else {
-        if (doc[key] !== value) return false;
-      }
-    }
-    return true;
+  async _flushPending() {
+    if (this._pendingSave) await this._pendingSave;
+    await this._writeQueue;
   }
 
   /**
-   * Sort documents
+   * Write the current documents without blocking; writes run one at a time
    * @private
    */
-  _sort(documents, sortSpec) {
-    return documents.sort((a, b) => {
-      for (const [field, direction] of Object.entries(sortSpec)) {
-        const aVal = a[field];
-        const bVal = b[field];
-        const multiplier = direction === -1 || direction === 'desc' ? -1 : 1;
-
-        if (aVal < bVal) return -1 * multiplier;
-        if (aVal > bVal) return 1 * multiplier;
+  _writeAsync() {
+    const write = this._writeQueue.then(async () => {
+      const file = this._prepareWrite();
+      if (!file) return;
+      try {
+        await writeDataFileAsync(this.db.adapter, file);
+      } catch (error) {
+        this._forceSnapshot = true;
+        throw error;
       }
-      return 0;
+      this._afterWrite(file);
+    });
+    this._writeQueue = write.catch(() => {});
+    return write.catch(error => {
+      console.error(`Error saving collection ${this.name}:`, error.message);
+      throw error;
     });
   }
 
   /**
-   * Apply projection to document
+   * Serialize documents for disk, keeping rich types as { $date } style wrappers
    * @private
    */
-  _applyProjection(doc, projection) {
-    const projected = {};
-    for (const [field, include] of Object.entries(projection)) {
-      if (include !== 0 && include !== false) {
-        if (field === '_id' || doc.hasOwnProperty(field)) {
-          projected[field] = doc[field];
-        }
-      }
-    }
-    return projected;
+  _serialize() {
+    return this._seal(stringifyTyped(this.documents.map(doc => this._encodeDocument(doc)), 2));
   }
 
   /**
-   * Generate unique ID
+   * Serialize a log record as one line
    * @private
    */
-  _generateId() {
-    return `_${Date.now()}_${this._nextId++}_${Math.random().toString(36).substr(2, 9)}`;
+  _serializeRecord(record) {
+    const encoded = record.doc ? { ...record, doc: this._encodeDocument(record.doc) } : record;
+    return this._seal(stringifyTyped(encoded)) + '\n';
   }
 
   /**
-   * Validate unique indexes before insert
+   * Copy of a document with its encryptedFields replaced by { $encrypted } wrappers
    * @private
    */
-  _validateUniqueIndexes(document) {
-    const collectionIndexes = this.db.indexes.get(this.name);
-    if (!collectionIndexes) return;
+  _encodeDocument(doc) {
+    const fields = this._encryptedFields;
+    if (!fields.some(field => hasPath(doc, field))) return doc;
+    if (!this.db._encryptionKey) {
+      throw new Error(`Collection ${this.name} has encrypted fields; open the database with its encryptionKey`);
+    }
 
-    collectionIndexes.forEach((index, field) => {
-      if (index.unique && document[field] !== undefined) {
-        if (index.values.has(document[field])) {
-          throw new Error(`Duplicate key error: ${field} must be unique`);
-        }
+    const encoded = cloneValue(doc);
+    fields.forEach(field => {
+      if (hasPath(doc, field)) {
+        const value = stringifyTyped(getPath(doc, field));
+        setPath(encoded, field, { $encrypted: encryptText(this.db._encryptionKey, value) });
       }
     });
+    return encoded;
   }
 
   /**
-   * Validate unique indexes before update
+   * Encrypt the text of a data file or log record when file encryption is on
    * @private
    */
-  _validateUniqueIndexesOnUpdate(document, documentId) {
-    const collectionIndexes = this.db.indexes.get(this.name);
-    if (!collectionIndexes) return;
+  _seal(text) {
+    const key = this.db._encryptionKey;
+    if (!key || !this.db.options.encryptFiles) return text;
+    return JSON.stringify({ $encrypted: encryptText(key, text) });
+  }
 
-    collectionIndexes.forEach((index, field) => {
-      if (index.unique && document[field] !== undefined) {
-        if (index.values.has(document[field])) {
-          // Check if the value belongs to this document or another one
-          const documentIds = index.values.get(document[field]);
-          if (!documentIds.includes(documentId)) {
-            throw new Error(`Duplicate key error: ${field} must be unique`);
-          }
-        }
+  /**
+   * Decrypt the text of a data file or log record. A file that does not match
+   * the database's encryption settings, or fails to decrypt, is an error.
+   * @private
+   */
+  _unseal(text, file) {
+    const key = this.db._encryptionKey;
+    if (!text.startsWith(ENCRYPTED_PREFIX)) {
+      if (key && this.db.options.encryptFiles) {
+        throw new Error(`Error loading collection ${this.name}: ${file} is not encrypted; use rotateKey() to encrypt an existing database`);
       }
-    });
+      return text;
+    }
+    if (!key) {
+      throw new Error(`Error loading collection ${this.name}: ${file} is encrypted; open the database with its encryptionKey`);
+    }
+    try {
+      return decryptText(key, JSON.parse(text).$encrypted);
+    } catch (error) {
+      throw new Error(`Error loading collection ${this.name}: cannot decrypt ${file} (wrong encryption key or tampered file)`);
+    }
   }
 
   /**
-   * Update indexes when document changes
+   * Queue a log record for the next save (log storage only)
    * @private
    */
-  _updateIndexes(document, operation) {
-    const collectionIndexes = this.db.indexes.get(this.name);
-    if (!collectionIndexes) return;
+  _recordOp(record) {
+    if (this.db.options.storage === 'log') {
+      this._pendingOps.push(record);
+    }
+  }
 
-    collectionIndexes.forEach((index, field) => {
-      if (operation === 'delete') {
-        // Remove document ID from all index values
-        index.values.forEach((ids, value) => {
-          const pos = ids.indexOf(document._id);
-          if (pos !== -1) {
-            ids.splice(pos, 1);
-            if (ids.length === 0) {
-              index.values.delete(value);
-            }
-          }
-        });
-      } else {
-        // Insert or update: add/update index entry
-        if (document[field] !== undefined) {
-          const value = document[field];
-          if (!index.values.has(value)) {
-            index.values.set(value, []);
-          }
-          if (!index.values.get(value).includes(document._id)) {
-            index.values.get(value).push(document._id);
-          }
-        }
-      }
-    });
+  /**
+   * Work out what the next save writes: pending records appended to the log, a
+   * full snapshot, or nothing at all
+   * @private
+   * @returns {object|null} { name, data, mode, records }
+   */
+  _prepareWrite() {
+    // Record newly encrypted fields before any data is written with them
+    if (this._metaOutdated) this._saveMeta();
+    if (this.db.options.storage !== 'log') {
+      return { name: this.fileName, data: this._serialize(), mode: 'replace', records: 0 };
+    }
+
+    const ops = this._pendingOps;
+    this._pendingOps = [];
+    const threshold = Math.max(COMPACT_MIN_RECORDS, 2 * this.documents.length);
+    const compact = this.db.options.autoCompact && this._logRecords + ops.length >= threshold;
+
+    if (this._forceSnapshot || compact) {
+      const data = this.documents.map(doc => this._serializeRecord({ op: 'insert', doc })).join('');
+      return { name: this.logName, data, mode: 'replace', records: this.documents.length };
+    }
+    if (ops.length === 0) return null;
+
+    const data = ops.map(record => this._serializeRecord(record)).join('');
+    return { name: this.logName, data, mode: 'append', records: ops.length };
   }
 
   /**
-   * Load documents from disk
+   * Bookkeeping once a prepared write is on disk
    * @private
    */
-  _load() {
-    if (fs.existsSync(this.filePath)) {
-      try {
-        const data = fs.readFileSync(this.filePath, 'utf8');
-        this.documents = JSON.parse(data);
-        // Set next ID based on existing documents
-        if (this.documents.length > 0) {
-          const lastId = this.documents[this.documents.length - 1]._id;
-          this._nextId = parseInt(lastId.split('_')[1]) + 1000 || this.documents.length + 1;
-        }
-      } catch (error) {
-        console.error(`Error loading collection ${this.name}:`, error.message);
-        this.documents = [];
-      }
+  _afterWrite(file) {
+    if (file.mode === 'append') {
+      this._logRecords += file.records;
+    } else {
+      this._logRecords = file.records;
+      this._forceSnapshot = false;
+      // The snapshot supersedes data left in the other engine's format
+      this.db.adapter.delete(file.name === this.logName ? this.fileName : this.logName);
     }
+    // Written under the lock, so these files are exactly what is in memory
+    this._signature = this._diskSignature();
   }
 
   /**
@@ -552,15 +5413,27 @@ class Collection {
    * @private
    */
   _save() {
+    // Inside a transaction the write happens on commit; async writes save later
+    if (this.db._transaction || this._deferSave) return;
+
+    const file = this._prepareWrite();
+    if (!file) return;
     try {
-      fs.writeFileSync(this.filePath, JSON.stringify(this.documents, null, 2));
+      writeDataFile(this.db.adapter, file);
     } catch (error) {
+      this._forceSnapshot = true;
       console.error(`Error saving collection ${this.name}:`, error.message);
       throw error;
     }
+    this._afterWrite(file);
   }
 }
 
 // Export the database class
 module.exports = NoSQLite;
-
+module.exports.ValidationError = ValidationError;
+module.exports.ChangeStream = ChangeStream;
+module.exports.Cursor = Cursor;
+module.exports.StorageAdapter = StorageAdapter;
+module.exports.FileAdapter = FileAdapter;
+module.exports.MemoryAdapter = MemoryAdapter;
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const NoSQLite = require('./NosqLite');
+const { createServer } = require('./server');
+
+const USAGE = `Usage: node cli.js <dbPath> [command] [arguments...] [--json] [--storage=json|log]
+
+Without a command, starts an interactive shell on the database.
+
+Commands:
+  collections                                 List collections with document counts
+  indexes <collection>                        List a collection's indexes
+  find <collection> [query] [options]         Print matching documents (options: sort, limit, skip, projection)
+  count <collection> [query]                  Count matching documents
+  update <collection> <query> <update> [options]
+                                              Update documents (options: multi, upsert)
+  delete <collection> <query> [options]       Delete documents (options: multi)
+  aggregate <collection> <pipeline>           Run an aggregation pipeline
+  import <collection> <file|-> [options]      Import a JSON, NDJSON or CSV file, or stdin with - (options: format, mode, upsertKey)
+  export <collection> <file|-> [options]      Export to a file, or to stdout with - (options: format, query, projection, sort)
+  backup <destPath> [--compress]              Back up every collection
+  compact [collection]                        Compact one collection, or all of them
+  serve [--port=3000] [--host=127.0.0.1] [--read-only[=collection,...]]
+                                              Serve the database as a REST API until stopped
+  help                                        Show this message
+
+Queries, updates, pipelines and options are JSON: find users '{"age": {"$gt": 30}}' '{"limit": 5}'
+Results are printed as a table; --json prints JSON instead.
+The storage engine is detected from the database's files; --storage sets it for a new database.
+Set NOSQLITE_KEY to open an encrypted database, and NOSQLITE_TOKEN to require a bearer token from serve.`;
+
+// Longest value shown in a table cell
+const MAX_CELL_WIDTH = 40;
+
+// Start of a data file encrypted as a whole
+const ENCRYPTED_PREFIX = '{"$encrypted":';
+
+/**
+ * Parse a JSON command argument, naming the argument when it is invalid
+ * @private
+ */
+function parseJsonArgument(text, name, fallback) {
+  if (text === undefined) {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`Missing ${name}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON for ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Split a shell line into arguments. Whitespace inside quotes, braces and
+ * brackets does not split, so JSON can be typed without quoting it.
+ * @private
+ */
+function splitArguments(line) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+  let started = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"' && i + 1 < line.length) {
+        current += char + line[++i];
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+        if (depth > 0) current += char;
+        continue;
+      }
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      started = true;
+      // Quotes are part of JSON inside braces, and shell quoting outside them
+      if (depth > 0) current += char;
+    } else if (/\s/.test(char) && depth === 0) {
+      if (started) args.push(current);
+      current = '';
+      started = false;
+    } else {
+      if (char === '{' || char === '[') depth++;
+      if ((char === '}' || char === ']') && depth > 0) depth--;
+      current += char;
+      started = true;
+    }
+  }
+  if (quote) {
+    throw new Error('Unterminated quote');
+  }
+  if (started) args.push(current);
+  return args;
+}
+
+/**
+ * Parse --name=value flags; a flag without a value is true
+ * @private
+ */
+function parseFlags(args, allowed) {
+  const flags = {};
+  args.forEach(arg => {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+    if (!match || !allowed.includes(match[1])) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    flags[match[1]] = match[2] === undefined ? true : match[2];
+  });
+  return flags;
+}
+
+/**
+ * Whether a data file is encrypted as a whole. Empty files say nothing.
+ * @private
+ */
+function isEncryptedFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const start = Buffer.alloc(ENCRYPTED_PREFIX.length);
+    const bytesRead = fs.readSync(fd, start, 0, start.length, 0);
+    return bytesRead === 0 ? null : start.toString('utf8', 0, bytesRead) === ENCRYPTED_PREFIX;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Open options matching the files already in dbPath, so that writes keep the
+ * database's storage engine and file encryption
+ * @private
+ */
+function detectOptions(dbPath, encrypted) {
+  let names;
+  try {
+    names = fs.readdirSync(dbPath);
+  } catch (error) {
+    return {};
+  }
+  const dataFiles = names.filter(name => name.endsWith('.ndjson') || (name.endsWith('.json') && !name.endsWith('.meta.json')));
+  const logFiles = dataFiles.filter(name => name.endsWith('.ndjson'));
+
+  const options = {};
+  if (logFiles.length > dataFiles.length - logFiles.length) options.storage = 'log';
+  // With a key, plaintext data files mean only chosen fields are encrypted
+  if (encrypted && dataFiles.some(name => isEncryptedFile(path.join(dbPath, name)) === false)) {
+    options.encryptFiles = false;
+  }
+  return options;
+}
+
+/**
+ * Serve the database over HTTP; resolves when the server closes
+ * @private
+ */
+function serve(db, args) {
+  const flags = parseFlags(args, ['port', 'host', 'read-only']);
+  const port = flags.port === undefined ? 3000 : Number(flags.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${flags.port}`);
+  }
+  const host = flags.host === undefined ? '127.0.0.1' : flags.host;
+  const readOnly = typeof flags['read-only'] === 'string' ? flags['read-only'].split(',').filter(Boolean) : Boolean(flags['read-only']);
+
+  const server = createServer(db, { token: process.env.NOSQLITE_TOKEN || null, readOnly });
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.on('close', () => resolve('Server stopped'));
+    server.listen(port, host, () => {
+      const address = server.address();
+      console.log(`Serving ${db.getDbPath()} on http://${host}:${address.port}`);
+    });
+  });
+}
+
+/**
+ * Text of a value in a table cell
+ * @private
+ */
+function cellText(value) {
+  if (value === undefined) return '';
+  let text;
+  if (typeof value === 'string') text = value;
+  else if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'bigint') text = value.toString();
+  else text = JSON.stringify(value);
+  text = text.replace(/\s+/g, ' ');
+  return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+/**
+ * Format documents as a text table, with a column per top-level field
+ * @param {object[]} rows - Documents or other plain objects
+ * @returns {string} Table text
+ */
+function formatTable(rows) {
+  if (rows.length === 0) return '(no results)';
+  const columns = Array.from(new Set([].concat(...rows.map(row => Object.keys(row)))));
+  const cells = rows.map(row => columns.map(column => cellText(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join(' | ').trimEnd();
+  return [
+    line(columns),
+    widths.map(width => '-'.repeat(width)).join('-+-'),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+/**
+ * Format a command's result for printing
+ * @param {*} result - Command result
+ * @param {boolean} json - Print JSON instead of a table
+ * @returns {string} Text to print
+ */
+function formatResult(result, json) {
+  if (typeof result === 'string') return result;
+  if (json) return JSON.stringify(result, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2);
+  if (Array.isArray(result) && result.every(row => row !== null && typeof row === 'object' && !Array.isArray(row))) {
+    return formatTable(result);
+  }
+  if (typeof result === 'number') return String(result);
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Run one command against an open database
+ * @param {NoSQLite} db - Database
+ * @param {string[]} args - Command name and its arguments
+ * @param {object} context - { stdin, stdout: streams used for - in import and export }
+ * @returns {Promise<*>} Result to print
+ */
+async function runCommand(db, args, context = {}) {
+  const [command, name, ...rest] = args;
+  const collection = () => {
+    if (!name) throw new Error(`Usage: ${command} <collection> ...`);
+    return db.collection(name);
+  };
+
+  switch (command) {
+    case 'collections':
+      return db.listCollections().sort().map(collectionName => ({
+        collection: collectionName,
+        documents: db.collection(collectionName).count()
+      }));
+    case 'indexes':
+      return collection().listIndexes();
+    case 'find':
+      return collection().find(parseJsonArgument(rest[0], 'query', {}), parseJsonArgument(rest[1], 'options', {}));
+    case 'count':
+      return collection().count(parseJsonArgument(rest[0], 'query', {}));
+    case 'update':
+      return collection().update(
+        parseJsonArgument(rest[0], 'query'),
+        parseJsonArgument(rest[1], 'update'),
+        parseJsonArgument(rest[2], 'options', {})
+      );
+    case 'delete':
+      return collection().delete(parseJsonArgument(rest[0], 'query'), parseJsonArgument(rest[1], 'options', {}));
+    case 'aggregate':
+      return collection().aggregate(parseJsonArgument(rest[0], 'pipeline'));
+    case 'import': {
+      if (!rest[0]) throw new Error('Usage: import <collection> <file|-> [options]');
+      const source = rest[0] === '-' ? (context.stdin || process.stdin) : path.resolve(rest[0]);
+      return collection().import(source, parseJsonArgument(rest[1], 'options', {}));
+    }
+    case 'export': {
+      if (!rest[0]) throw new Error('Usage: export <collection> <file|-> [options]');
+      const options = parseJsonArgument(rest[1], 'options', {});
+      if (rest[0] !== '-') {
+        return collection().export(path.resolve(rest[0]), options);
+      }
+      // The export itself is the output; the count would corrupt it
+      await collection().export(context.stdout || process.stdout, options);
+      return null;
+    }
+    case 'backup':
+      if (!name) throw new Error('Usage: backup <destPath> [--compress]');
+      return db.backup(path.resolve(name), { compress: rest.includes('--compress') });
+    case 'compact': {
+      const names = name ? [name] : db.listCollections();
+      names.forEach(collectionName => db.collection(collectionName).compact());
+      return `Compacted ${names.length} collection(s)`;
+    }
+    case 'serve':
+      return serve(db, args.slice(1));
+    case 'help':
+      return USAGE;
+    default:
+      throw new Error(`Unknown command: ${command}. Run "help" for a list of commands`);
+  }
+}
+
+/**
+ * Interactive shell: reads commands line by line until "exit" or end of input
+ * @private
+ */
+function startShell(db, json) {
+  const interactive = Boolean(process.stdin.isTTY);
+  const shell = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: 'nosqlite> ',
+    terminal: interactive
+  });
+  if (interactive) {
+    console.log(`Connected to ${db.getDbPath()}. Type "help" for commands, "exit" to quit.`);
+  }
+
+  return new Promise(resolve => {
+    // Lines are run one at a time, in order, even when piped in faster than they finish
+    let pending = Promise.resolve();
+    shell.on('line', line => {
+      pending = pending.then(async () => {
+        const text = line.trim();
+        if (text === '') return;
+        if (text === 'exit' || text === 'quit' || text === '.exit') {
+          shell.close();
+          return;
+        }
+        try {
+          const result = await runCommand(db, splitArguments(text));
+          if (result !== null) console.log(formatResult(result, json));
+        } catch (error) {
+          console.error(`Error: ${error.message}`);
+        }
+      }).then(() => interactive && shell.prompt());
+    });
+    shell.on('close', () => pending.then(resolve));
+    if (interactive) shell.prompt();
+  });
+}
+
+/**
+ * Entry point: parse the command line, run a command or start the shell
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const json = argv.includes('--json');
+  const storageFlag = argv.find(arg => arg.startsWith('--storage='));
+  const args = argv.filter(arg => arg !== '--json' && arg !== storageFlag);
+  if (args.length === 0 || args[0] === 'help' || args[0] === '--help') {
+    console.log(USAGE);
+    return args.length === 0 ? 1 : 0;
+  }
+
+  const [dbPath, ...command] = args;
+  let db;
+  try {
+    const key = process.env.NOSQLITE_KEY;
+    const options = detectOptions(path.resolve(dbPath), Boolean(key));
+    if (storageFlag) options.storage = storageFlag.slice('--storage='.length);
+    if (key) options.encryptionKey = key;
+    db = new NoSQLite(dbPath, options);
+    if (command.length === 0) {
+      await startShell(db, json);
+    } else {
+      const result = await runCommand(db, command);
+      if (result !== null) console.log(formatResult(result, json));
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  } finally {
+    if (db) await db.flush();
+  }
+}
+
+module.exports = { main, runCommand, formatResult, formatTable, splitArguments };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,244 @@
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+// Largest request body accepted by default
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+// Collection names in URLs become file names, so only these characters are allowed
+const COLLECTION_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+/**
+ * Error answered with an HTTP status instead of 400
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Status for an error thrown while handling a request: database errors caused
+ * by the request are 400 (409 for duplicate keys), file system errors are 500
+ * @private
+ */
+function errorStatus(error) {
+  if (error instanceof HttpError) return error.status;
+  if (typeof error.code === 'string') return 500;
+  return /^Duplicate key error/.test(error.message) ? 409 : 400;
+}
+
+/**
+ * Send a JSON response. BigInt values are sent as strings.
+ * @private
+ */
+function sendJson(res, status, body, headers = {}) {
+  const text = JSON.stringify(body, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(text);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @private
+ */
+function readJsonBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        // The rest of the body is read and dropped so the 413 response can be sent
+        req.removeListener('data', onData);
+        req.resume();
+        reject(new HttpError(413, `Request body is larger than ${maxBodySize} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text === '' ? undefined : JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a JSON query string parameter
+ * @private
+ */
+function jsonParam(params, name) {
+  const text = params.get(name);
+  if (text === null) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON in ${name} parameter: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a non-negative integer query string parameter
+ * @private
+ */
+function integerParam(params, name) {
+  const text = params.get(name);
+  if (text === null) return undefined;
+  if (!/^\d+$/.test(text)) {
+    throw new HttpError(400, `${name} must be a non-negative integer`);
+  }
+  return Number(text);
+}
+
+/**
+ * Compare a request's bearer token with the expected one in constant time
+ * @private
+ */
+function hasToken(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  // Hashing first gives equal lengths, which timingSafeEqual requires
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+/**
+ * Query parameter of a request that changes a whole collection. It must be
+ * given, so a missing parameter never updates or deletes every document.
+ * @private
+ */
+function requiredQuery(params, method) {
+  const query = jsonParam(params, 'query');
+  if (query === undefined) {
+    throw new HttpError(400, `${method} on a collection needs a query parameter (query={} for every document)`);
+  }
+  return query;
+}
+
+/**
+ * Create an HTTP server exposing a database's collections as a REST API:
+ *
+ *   GET    /collections                 Collection names
+ *   GET    /collections/:name           find(); query, sort, projection (JSON), limit, skip
+ *   GET    /collections/:name/:id       One document
+ *   POST   /collections/:name           insert() the body (a document or an array)
+ *   PATCH  /collections/:name           update() documents matching the query parameter
+ *   PATCH  /collections/:name/:id       update() one document; returns it
+ *   DELETE /collections/:name           delete() documents matching the query parameter
+ *   DELETE /collections/:name/:id       delete() one document
+ *
+ * Call listen() on the result to start it.
+ * @param {NoSQLite} db - Database to serve
+ * @param {object} options - Server options
+ * @param {string} options.token - Bearer token every request must send (default: none)
+ * @param {boolean|string[]} options.readOnly - true for a read-only API, or names of
+ *   read-only collections
+ * @param {number} options.maxBodySize - Largest request body in bytes (default: 1 MB)
+ * @returns {http.Server} Server
+ */
+function createServer(db, options = {}) {
+  const settings = { token: null, readOnly: false, maxBodySize: DEFAULT_MAX_BODY_SIZE, ...options };
+  const isReadOnly = name => settings.readOnly === true ||
+    (Array.isArray(settings.readOnly) && settings.readOnly.includes(name));
+
+  const handle = async (req, res) => {
+    if (settings.token && !hasToken(req, settings.token)) {
+      sendJson(res, 401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (parts[0] !== 'collections' || parts.length > 3) {
+      throw new HttpError(404, `No route for ${url.pathname}`);
+    }
+    if (parts.length === 1) {
+      if (req.method !== 'GET') throw new HttpError(405, `${req.method} is not allowed on /collections`);
+      sendJson(res, 200, db.listCollections());
+      return;
+    }
+
+    const [, name, id] = parts;
+    if (!COLLECTION_NAME_PATTERN.test(name)) {
+      throw new HttpError(400, `Invalid collection name: ${name}`);
+    }
+    if (req.method !== 'GET' && isReadOnly(name)) {
+      throw new HttpError(403, `Collection ${name} is read-only`);
+    }
+    const collection = await db.collectionAsync(name);
+    const params = url.searchParams;
+
+    switch (req.method) {
+      case 'GET': {
+        if (id !== undefined) {
+          const document = await collection.findOneAsync({ _id: id });
+          if (!document) throw new HttpError(404, `No document with _id ${id}`);
+          sendJson(res, 200, document);
+          return;
+        }
+        const findOptions = {
+          sort: jsonParam(params, 'sort'),
+          projection: jsonParam(params, 'projection'),
+          limit: integerParam(params, 'limit'),
+          skip: integerParam(params, 'skip')
+        };
+        Object.keys(findOptions).forEach(key => findOptions[key] === undefined && delete findOptions[key]);
+        sendJson(res, 200, await collection.findAsync(jsonParam(params, 'query') || {}, findOptions));
+        return;
+      }
+      case 'POST': {
+        if (id !== undefined) throw new HttpError(405, 'POST is not allowed on a document; use PATCH');
+        const body = await readJsonBody(req, settings.maxBodySize);
+        if (body === null || typeof body !== 'object') {
+          throw new HttpError(400, 'Body must be a document or an array of documents');
+        }
+        sendJson(res, 201, await collection.insertAsync(body));
+        return;
+      }
+      case 'PATCH': {
+        const body = await readJsonBody(req, settings.maxBodySize);
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          throw new HttpError(400, 'Body must be an update document');
+        }
+        if (id === undefined) {
+          sendJson(res, 200, await collection.updateAsync(requiredQuery(params, 'PATCH'), body));
+          return;
+        }
+        const result = await collection.updateAsync({ _id: id }, body, { multi: false });
+        if (result.modifiedCount === 0) throw new HttpError(404, `No document with _id ${id}`);
+        sendJson(res, 200, await collection.findOneAsync({ _id: id }));
+        return;
+      }
+      case 'DELETE': {
+        if (id === undefined) {
+          sendJson(res, 200, await collection.deleteAsync(requiredQuery(params, 'DELETE')));
+          return;
+        }
+        const result = await collection.deleteAsync({ _id: id }, { multi: false });
+        if (result.deletedCount === 0) throw new HttpError(404, `No document with _id ${id}`);
+        sendJson(res, 200, result);
+        return;
+      }
+      default:
+        throw new HttpError(405, `${req.method} is not allowed`);
+    }
+  };
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!res.headersSent) sendJson(res, errorStatus(error), { error: error.message });
+    });
+  });
+}
+
+module.exports = { createServer };
@@ -1,6 +1,7 @@
 const NoSQLite = require('./NosqLite');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // Helper function for colored output
 const colors = {
@@ -28,6 +29,18 @@ function test(name, fn) {
   }
 }
 
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    log(`✅ ${name}`, 'green');
+    return true;
+  } catch (error) {
+    log(`❌ ${name}: ${error.message}`, 'red');
+    console.error(error);
+    return false;
+  }
+}
+
 function assert(condition, message) {
   if (!condition) {
     throw new Error(message || 'Assertion failed');
@@ -52,12 +65,19 @@ const db = new NoSQLite('./test_db');
 
 // Clean up test database before starting
 const testDbPath = path.resolve('./test_db');
-if (fs.existsSync(testDbPath)) {
-  const files = fs.readdirSync(testDbPath);
-  files.forEach(file => {
-    fs.unlinkSync(path.join(testDbPath, file));
+const removeDir = dir => {
+  fs.readdirSync(dir).forEach(file => {
+    const filePath = path.join(dir, file);
+    if (fs.statSync(filePath).isDirectory()) {
+      removeDir(filePath);
+    } else {
+      fs.unlinkSync(filePath);
+    }
   });
-  fs.rmdirSync(testDbPath);
+  fs.rmdirSync(dir);
+};
+if (fs.existsSync(testDbPath)) {
+  removeDir(testDbPath);
 }
 
 // Reinitialize database
@@ -591,18 +611,1862 @@ test('Query with array value (simple in)', () => {
   passedTests++;
 });
 
-// Summary
-log('\n' + '='.repeat(50), 'cyan');
-log(`\n📊 Test Results: ${passedTests}/${totalTests} tests passed`, passedTests === totalTests ? 'green' : 'yellow');
-if (totalTests > 40) {
-  log(`   (Including $unset operator test)`, 'cyan');
+// Test 42: Query planner uses index for equality and $in
+totalTests++;
+test('Query planner uses index for equality and $in', () => {
+  const products = db2.collection('products');
+  const docs = [];
+  for (let i = 0; i < 50; i++) {
+    docs.push({ sku: `SKU-${i}`, price: i * 10, category: i % 5 === 0 ? 'featured' : 'regular' });
+  }
+  products.insert(docs);
+  products.createIndex('sku');
+  products.createIndex('price');
+
+  const plan = products.explain({ sku: 'SKU-7' });
+  assertEqual(plan.index, 'sku', 'Should use sku index');
+  assertEqual(plan.candidates, 1, 'Should scan a single candidate');
+
+  const found = products.find({ sku: { $in: ['SKU-3', 'SKU-1', 'SKU-2'] } });
+  assertDeepEqual(found.map(doc => doc.sku), ['SKU-1', 'SKU-2', 'SKU-3'], 'Should keep insertion order');
+  passedTests++;
+});
+
+// Test 43: Query planner uses index for range conditions
+totalTests++;
+test('Query planner uses index for range conditions', () => {
+  const products = db2.collection('products');
+  const query = { price: { $gte: 100, $lt: 150 }, category: 'featured' };
+  const plan = products.explain(query);
+  assertEqual(plan.index, 'price', 'Should use price index');
+  assertEqual(plan.candidates, 5, 'Should only scan documents in range');
+
+  const results = products.find(query);
+  assertDeepEqual(results.map(doc => doc.sku), ['SKU-10'], 'Should apply remaining conditions');
+  assertEqual(products.count(query), 1, 'Count should use the same plan');
+  assertEqual(products.explain({ category: 'featured' }).index, null, 'Unindexed field should full scan');
+  passedTests++;
+});
+
+// Test 44: Index stays in sync with update and delete
+totalTests++;
+test('Index stays in sync with update and delete', () => {
+  const products = db2.collection('products');
+  products.update({ sku: 'SKU-4' }, { $set: { sku: 'SKU-4B' } });
+  assertEqual(products.find({ sku: 'SKU-4' }).length, 0, 'Old value should be gone from index');
+  assertEqual(products.find({ sku: 'SKU-4B' }).length, 1, 'New value should be indexed');
+
+  const result = products.delete({ price: { $gt: 450 } });
+  assertEqual(result.deletedCount, 4, 'Should delete documents found through index');
+  assertEqual(products.count({ price: { $gt: 450 } }), 0, 'Deleted documents should leave index');
+
+  products.remove();
+  assertEqual(products.find({ sku: 'SKU-1' }).length, 0, 'Remove should clear indexes');
+  passedTests++;
+});
+
+// Test 45: Index definitions persist across restarts
+totalTests++;
+test('Index definitions persist across restarts', () => {
+  const accounts = db2.collection('accounts');
+  accounts.insert({ username: 'alice', email: 'alice@example.com' });
+  accounts.createUniqueIndex('email');
+  accounts.createIndex('username');
+
+  const reopened = new NoSQLite('./test_db').collection('accounts');
+  assertDeepEqual(reopened.listIndexes(), [
+    { field: 'email', unique: true, sparse: false },
+    { field: 'username', unique: false, sparse: false }
+  ], 'Should restore index definitions');
+  assertEqual(reopened.explain({ username: 'alice' }).index, 'username', 'Restored index should be queryable');
+
+  let errorThrown = false;
+  try {
+    reopened.insert({ username: 'alice2', email: 'alice@example.com' });
+  } catch (error) {
+    errorThrown = error.message.includes('must be unique');
+  }
+  assert(errorThrown, 'Unique constraint should survive a restart');
+  assert(!db2.listCollections().includes('accounts.meta'), 'Metadata file should not be listed as a collection');
+
+  const handles = db2.collection('handles');
+  handles.insert([{ handle: 'ada' }, { handle: 'ada' }]);
+  handles.createIndex('handle');
+  errorThrown = false;
+  try {
+    handles.createUniqueIndex('handle');
+  } catch (error) {
+    errorThrown = error.message.includes('Duplicate key error');
+  }
+  assert(errorThrown, 'A unique index over duplicate values should be refused');
+  const expected = [{ field: 'handle', unique: false, sparse: false }];
+  assertDeepEqual(handles.listIndexes(), expected, 'The existing index should be kept');
+  assertDeepEqual(new NoSQLite('./test_db').collection('handles').listIndexes(), expected, 'The refused index should not be saved');
+  passedTests++;
+});
+
+// Test 46: Drop index
+totalTests++;
+test('Drop index', () => {
+  const accounts = db2.collection('accounts');
+  assertEqual(accounts.dropIndex('email'), true, 'Should drop existing index');
+  assertEqual(accounts.dropIndex('email'), false, 'Should report missing index');
+  accounts.insert({ username: 'alice3', email: 'alice@example.com' });
+
+  const reopened = new NoSQLite('./test_db').collection('accounts');
+  assertDeepEqual(reopened.listIndexes().map(index => index.field), ['username'], 'Dropped index should stay dropped');
+  passedTests++;
+});
+
+// Test 47: Dot-notation in queries, sort and projection
+totalTests++;
+test('Dot-notation in queries, sort and projection', () => {
+  const people = db2.collection('people');
+  people.insert([
+    { name: 'Rahim', address: { city: 'Dhaka', zip: 1200 }, phones: ['111', '222'] },
+    { name: 'Karim', address: { city: 'Chittagong', zip: 4000 }, phones: ['333'] },
+    { name: 'Salma', address: { city: 'Dhaka', zip: 1100 } }
+  ]);
+
+  const inDhaka = people.find({ 'address.city': 'Dhaka' }, { sort: { 'address.zip': 1 } });
+  assertDeepEqual(inDhaka.map(doc => doc.name), ['Salma', 'Rahim'], 'Should match and sort on nested fields');
+  assertEqual(people.count({ 'phones.0': '333' }), 1, 'Should match array positions');
+  assertEqual(people.count({ 'address.zip': { $gte: 1200 } }), 2, 'Should apply operators to nested fields');
+
+  const projected = people.findOne({ name: 'Karim' }, { projection: { 'address.city': 1 } });
+  assertDeepEqual(projected, { address: { city: 'Chittagong' } }, 'Should project nested fields');
+  passedTests++;
+});
+
+// Test 48: Dot-notation in updates and indexes
+totalTests++;
+test('Dot-notation in updates and indexes', () => {
+  const people = db2.collection('people');
+  people.createIndex('address.city');
+  assertEqual(people.explain({ 'address.city': 'Dhaka' }).index, 'address.city', 'Should index nested field');
+
+  people.update({ name: 'Rahim' }, { $set: { 'address.city': 'Sylhet', 'profile.age': 3 }, $inc: { 'address.zip': 1 } });
+  const rahim = people.findOne({ name: 'Rahim' });
+  assertEqual(rahim.address.city, 'Sylhet', 'Should set nested field');
+  assertEqual(rahim.address.zip, 1201, 'Should increment nested field');
+  assertEqual(rahim.profile.age, 3, 'Should create intermediate objects');
+  assert(rahim['profile.age'] === undefined, 'Should not create a literal dotted key');
+  assertEqual(people.count({ 'address.city': 'Dhaka' }), 1, 'Index should follow nested updates');
+
+  people.update({ name: 'Rahim' }, { $unset: ['address.zip'] });
+  assertDeepEqual(people.findOne({ name: 'Rahim' }).address, { city: 'Sylhet' }, 'Should unset nested field');
+
+  let errorThrown = false;
+  try {
+    people.update({ name: 'Rahim' }, { $set: { '__proto__.polluted': true } });
+  } catch (error) {
+    errorThrown = error.message.includes('Invalid field path');
+  }
+  assert(errorThrown, 'Should reject prototype paths');
+
+  const rejects = fn => {
+    try {
+      fn();
+    } catch (error) {
+      return error.message.includes('Invalid field path');
+    }
+    return false;
+  };
+  assert(rejects(() => people.update({ name: 'Rahim' }, { $unset: { '__proto__.toString': '' } })), 'Should reject prototype paths in $unset');
+  assert(rejects(() => people.aggregate([{ $project: { '__proto__.toString': 0 } }])), 'Should reject prototype paths in projections');
+  assert(rejects(() => people.find({ 'constructor.name': 'Object' })), 'Should reject prototype paths in queries');
+  assertEqual(typeof Object.prototype.toString, 'function', 'Object.prototype should be untouched');
+  passedTests++;
+});
+
+// Test 49: Logical operators $and, $or, $nor
+totalTests++;
+test('Logical operators $and, $or, $nor', () => {
+  const staff = db2.collection('staff');
+  staff.insert([
+    { name: 'Ana', role: 'admin', age: 41, team: 'core' },
+    { name: 'Ben', role: 'user', age: 22, team: 'core' },
+    { name: 'Cy', role: 'user', age: 35 },
+    { name: 'Di', role: 'guest', age: 19, team: null }
+  ]);
+
+  const names = query => staff.find(query).map(doc => doc.name);
+  assertDeepEqual(names({ $or: [{ role: 'admin' }, { age: { $lt: 20 } }] }), ['Ana', 'Di'], '$or should match any clause');
+  assertDeepEqual(names({ $and: [{ role: 'user' }, { age: { $gt: 30 } }] }), ['Cy'], '$and should match all clauses');
+  assertDeepEqual(names({ $nor: [{ role: 'admin' }, { role: 'guest' }] }), ['Ben', 'Cy'], '$nor should match no clause');
+  assertDeepEqual(
+    names({ team: 'core', $or: [{ $and: [{ role: 'user' }, { age: { $lt: 30 } }] }, { age: { $gt: 40 } }] }),
+    ['Ana', 'Ben'],
+    'Logical operators should nest'
+  );
+  passedTests++;
+});
+
+// Test 50: Field operators $not, $exists, $type
+totalTests++;
+test('Field operators $not, $exists, $type', () => {
+  const staff = db2.collection('staff');
+  const names = query => staff.find(query).map(doc => doc.name);
+  assertDeepEqual(names({ age: { $not: { $gte: 30 } } }), ['Ben', 'Di'], '$not should negate operators');
+  assertDeepEqual(names({ name: { $not: /^[AB]/ } }), ['Cy', 'Di'], '$not should accept a RegExp');
+  assertDeepEqual(names({ team: { $exists: false } }), ['Cy'], '$exists false should match missing fields');
+  assertDeepEqual(names({ team: { $exists: true } }), ['Ana', 'Ben', 'Di'], '$exists true should match null values');
+  assertDeepEqual(names({ team: { $type: 'string' } }), ['Ana', 'Ben'], '$type should check value type');
+  assertDeepEqual(names({ team: { $type: ['null', 'string'] } }), ['Ana', 'Ben', 'Di'], '$type should accept a list');
+  passedTests++;
+});
+
+// Test 51: Unknown operators throw
+totalTests++;
+test('Unknown operators throw', () => {
+  const staff = db2.collection('staff');
+  const throws = fn => {
+    try {
+      fn();
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  };
+
+  assert(throws(() => staff.find({ $where: 'true' })).includes('Unknown query operator'), 'Unknown top-level operator should throw');
+  assert(throws(() => staff.delete({ age: { $gtx: 5 } })).includes('Unknown query operator'), 'Unknown field operator should throw');
+  assert(throws(() => staff.count({ $or: {} })).includes('non-empty array'), '$or should require an array');
+  assert(throws(() => db2.collection('empty_col').find({ $foo: 1 })) !== null, 'Should throw even without documents');
+  assertEqual(staff.count(), 4, 'Failed delete should not remove documents');
+  passedTests++;
+});
+
+// Test 52: Implicit array matching
+totalTests++;
+test('Implicit array matching', () => {
+  const posts = db2.collection('posts');
+  posts.insert([
+    { title: 'One', tags: ['a', 'b'], scores: [3, 9], comments: [{ author: 'x', votes: 5 }, { author: 'y', votes: 1 }] },
+    { title: 'Two', tags: ['b', 'c'], scores: [5], comments: [{ author: 'y', votes: 7 }] },
+    { title: 'Three', tags: [], scores: [1, 2] }
+  ]);
+
+  const titles = query => posts.find(query).map(doc => doc.title);
+  assertDeepEqual(titles({ tags: 'a' }), ['One'], 'Scalar should match array elements');
+  assertDeepEqual(titles({ tags: { $in: ['c', 'z'] } }), ['Two'], '$in should match array elements');
+  assertDeepEqual(titles({ tags: { $ne: 'b' } }), ['Three'], '$ne should exclude arrays containing the value');
+  assertDeepEqual(titles({ scores: { $gt: 8 } }), ['One'], 'Range should match any element');
+  assertDeepEqual(titles({ tags: { $eq: ['b', 'c'] } }), ['Two'], '$eq should match the whole array');
+  assertDeepEqual(titles({ 'comments.author': 'x' }), ['One'], 'Dot path should reach into array elements');
+  passedTests++;
+});
+
+// Test 53: Array operators $all, $size, $elemMatch
+totalTests++;
+test('Array operators $all, $size, $elemMatch', () => {
+  const posts = db2.collection('posts');
+  const titles = query => posts.find(query).map(doc => doc.title);
+  assertDeepEqual(titles({ tags: { $all: ['b', 'a'] } }), ['One'], '$all should require every value');
+  assertDeepEqual(titles({ tags: { $size: 0 } }), ['Three'], '$size should match array length');
+  assertDeepEqual(titles({ scores: { $elemMatch: { $gte: 4, $lte: 6 } } }), ['Two'], '$elemMatch should apply all operators to one element');
+  assertDeepEqual(titles({ scores: { $gte: 4, $lte: 6 } }), ['One', 'Two'], 'Without $elemMatch bounds may match different elements');
+  assertDeepEqual(
+    titles({ comments: { $elemMatch: { author: 'y', votes: { $gt: 3 } } } }),
+    ['Two'],
+    '$elemMatch should match sub-documents'
+  );
+  assertDeepEqual(
+    titles({ comments: { $all: [{ $elemMatch: { votes: { $gte: 5 } } }, { $elemMatch: { author: 'y' } }] } }),
+    ['One', 'Two'],
+    '$all should accept $elemMatch clauses'
+  );
+  passedTests++;
+});
+
+// Test 54: Multikey indexes on arrays
+totalTests++;
+test('Multikey indexes on arrays', () => {
+  const posts = db2.collection('posts');
+  posts.createIndex('tags');
+  posts.createIndex('scores');
+  assertEqual(posts.explain({ tags: 'b' }).candidates, 2, 'Should index each array element');
+  assertDeepEqual(posts.find({ scores: { $gte: 4, $lte: 6 } }).map(doc => doc.title), ['One', 'Two'], 'Multikey range should not lose matches');
+
+  posts.update({ title: 'Two' }, { $set: { tags: ['d'] } });
+  assertDeepEqual(posts.find({ tags: 'b' }).map(doc => doc.title), ['One'], 'Index should follow array changes');
+  passedTests++;
+});
+
+// Test 55: Array update operators
+totalTests++;
+test('Array update operators $push, $addToSet, $pull, $pop', () => {
+  const carts = db2.collection('carts');
+  const cart = carts.insert({ owner: 'ana', tags: ['new'], scores: [4, 8] });
+
+  carts.update({ _id: cart._id }, { $push: { tags: 'sale' }, $addToSet: { labels: { $each: ['x', 'y', 'x'] } } });
+  carts.update({ _id: cart._id }, { $push: { scores: { $each: [10, 1, 6], $sort: -1, $slice: 3 } } });
+  let doc = carts.findOne({ _id: cart._id });
+  assertDeepEqual(doc.tags, ['new', 'sale'], '$push should append');
+  assertDeepEqual(doc.labels, ['x', 'y'], '$addToSet should skip duplicates and create the array');
+  assertDeepEqual(doc.scores, [10, 8, 6], '$push should apply $each, $sort and $slice');
+
+  carts.update({ _id: cart._id }, { $pull: { scores: { $gte: 8 } }, $pop: { tags: -1 } });
+  doc = carts.findOne({ _id: cart._id });
+  assertDeepEqual(doc.scores, [6], '$pull should remove matching elements');
+  assertDeepEqual(doc.tags, ['sale'], '$pop -1 should remove the first element');
+  passedTests++;
+});
+
+// Test 56: Field update operators
+totalTests++;
+test('Field update operators $rename, $min, $max, $mul, $currentDate', () => {
+  const carts = db2.collection('carts');
+  const cart = carts.insert({ owner: 'ben', total: 10, low: 5, high: 5, qty: 3 });
+
+  carts.update({ _id: cart._id }, {
+    $rename: { owner: 'customer' },
+    $min: { low: 2 },
+    $max: { high: 4 },
+    $mul: { total: 1.5, qty: 2 },
+    $currentDate: { checkedAt: true }
+  });
+  const doc = carts.findOne({ _id: cart._id });
+  assertEqual(doc.customer, 'ben', '$rename should move the value');
+  assert(doc.owner === undefined, '$rename should remove the old field');
+  assertEqual(doc.low, 2, '$min should lower the value');
+  assertEqual(doc.high, 5, '$max should keep the larger value');
+  assertEqual(doc.total, 15, '$mul should multiply');
+  assertEqual(doc.qty, 6, '$mul should multiply integers');
+  assert(doc.checkedAt instanceof Date && !isNaN(doc.checkedAt.getTime()), '$currentDate should set a date');
+
+  // Mixed types, dates and null order the same way as in sort()
+  const mixed = carts.insert({ owner: 'di', code: 10, seen: new Date('2024-05-01'), level: null, values: [] });
+  carts.update({ _id: mixed._id }, {
+    $max: { code: 'x' },
+    $min: { seen: new Date('2024-01-01'), level: 3 },
+    $push: { values: { $each: ['b', 3, null, new Date('2024-01-01'), 1], $sort: 1 } }
+  });
+  const mixedDoc = carts.findOne({ _id: mixed._id });
+  assertEqual(mixedDoc.code, 'x', '$max should rank strings above numbers');
+  assertEqual(mixedDoc.seen.toISOString(), '2024-01-01T00:00:00.000Z', '$min should compare dates');
+  assertEqual(mixedDoc.level, null, '$min should rank null below numbers');
+  const sorted = new NoSQLite(':memory:').collection('sorted');
+  sorted.insert(['b', 3, null, new Date('2024-01-01'), 1].map(value => ({ value })));
+  assertDeepEqual(mixedDoc.values, sorted.find({}, { sort: { value: 1 } }).map(item => item.value), '$push $sort should match sort()');
+  passedTests++;
+});
+
+// Test 57: Positional updates
+totalTests++;
+test('Positional $ and $[] updates', () => {
+  const carts = db2.collection('carts');
+  const cart = carts.insert({ owner: 'cy', items: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 2 }], flags: [1, 2, 3] });
+
+  carts.update({ _id: cart._id, 'items.sku': 'B' }, { $inc: { 'items.$.qty': 5 } });
+  carts.update({ _id: cart._id }, { $set: { 'items.$[].checked': true } });
+  carts.update({ _id: cart._id, flags: 2 }, { $set: { 'flags.$': 20 } });
+  carts.update({ _id: cart._id }, { $pull: { items: { sku: 'A' } } });
+
+  const doc = carts.findOne({ _id: cart._id });
+  assertDeepEqual(doc.items, [{ sku: 'B', qty: 7, checked: true }], 'Should update matched element and all elements');
+  assertDeepEqual(doc.flags, [1, 20, 3], 'Should update the matched scalar element');
+  passedTests++;
+});
+
+// Test 58: Invalid updates leave documents untouched
+totalTests++;
+test('Invalid updates leave documents untouched', () => {
+  const carts = db2.collection('carts');
+  carts.createUniqueIndex('code');
+  carts.insert([{ owner: 'dup1' }, { owner: 'dup2' }]);
+
+  const throws = fn => {
+    try {
+      fn();
+    } catch (error) {
+      return error.message;
+    }
+    return '';
+  };
+  assert(throws(() => carts.update({}, { $bogus: { a: 1 } })).includes('Unknown update operator'), 'Unknown operator should throw');
+  assert(throws(() => carts.update({}, { $set: { a: 1 }, b: 2 })).includes('mix'), 'Mixed update should throw');
+  assert(throws(() => carts.update({ owner: 'dup1' }, { $push: { owner: 'x' } })).includes('non-array'), '$push on a scalar should throw');
+  assert(throws(() => carts.update({ owner: { $in: ['dup1', 'dup2'] } }, { $set: { code: 'SAME' } })).includes('must be unique'), 'Duplicate within one update should throw');
+  assertEqual(carts.count({ code: 'SAME' }), 0, 'Failed multi-update should be rolled back');
+  assertEqual(carts.count({ owner: 'dup1' }), 1, 'Document should keep its values');
+  passedTests++;
+});
+
+// Test 59: Upsert builds document from query
+totalTests++;
+test('Upsert builds document from query', () => {
+  const carts = db2.collection('carts');
+  const result = carts.update(
+    { owner: 'eve', 'meta.region': 'eu', total: { $gt: 100 } },
+    { $inc: { visits: 1 }, $setOnInsert: { createdBy: 'upsert' } },
+    { upsert: true }
+  );
+  assertEqual(result.upsertedCount, 1, 'Should upsert');
+  const doc = carts.findOne({ _id: result.upsertedId });
+  assertEqual(doc.owner, 'eve', 'Should copy equality fields');
+  assertDeepEqual(doc.meta, { region: 'eu' }, 'Should expand dotted equality fields');
+  assert(doc.total === undefined, 'Should not copy operator conditions');
+  assertEqual(doc.visits, 1, 'Should apply update operators');
+  assertEqual(doc.createdBy, 'upsert', 'Should apply $setOnInsert');
+
+  carts.update({ owner: 'eve' }, { $setOnInsert: { createdBy: 'again' }, $inc: { visits: 1 } }, { upsert: true });
+  assertEqual(carts.findOne({ owner: 'eve' }).createdBy, 'upsert', '$setOnInsert should be ignored on update');
+  passedTests++;
+});
+
+// Test 60: Aggregation with $match, $group and $sort
+totalTests++;
+test('Aggregation with $match, $group and $sort', () => {
+  const orders = db2.collection('orders');
+  orders.insert([
+    { customer: 'c1', total: 120, status: 'paid', placedAt: '2024-01-05T10:00:00.000Z', items: ['pen', 'ink'] },
+    { customer: 'c2', total: 80, status: 'paid', placedAt: '2024-01-20T10:00:00.000Z', items: ['pad'] },
+    { customer: 'c1', total: 50, status: 'paid', placedAt: '2024-02-02T10:00:00.000Z', items: [] },
+    { customer: 'c3', total: 999, status: 'cancelled', placedAt: '2024-02-03T10:00:00.000Z', items: ['box'] }
+  ]);
+
+  const byMonth = orders.aggregate([
+    { $match: { status: 'paid' } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: '$placedAt' } },
+        revenue: { $sum: '$total' },
+        average: { $avg: '$total' },
+        biggest: { $max: '$total' },
+        smallest: { $min: '$total' },
+        customers: { $push: '$customer' },
+        orders: { $count: {} }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  assertDeepEqual(byMonth, [
+    { _id: '2024-01', revenue: 200, average: 100, biggest: 120, smallest: 80, customers: ['c1', 'c2'], orders: 2 },
+    { _id: '2024-02', revenue: 50, average: 50, biggest: 50, smallest: 50, customers: ['c1'], orders: 1 }
+  ], 'Should group revenue per month');
+  passedTests++;
+});
+
+// Test 61: Aggregation with $project, $unwind, $skip, $limit and $count
+totalTests++;
+test('Aggregation with $project, $unwind, $skip, $limit and $count', () => {
+  const orders = db2.collection('orders');
+  const topCustomers = orders.aggregate([
+    { $group: { _id: '$customer', spent: { $sum: '$total' } } },
+    { $sort: { spent: -1 } },
+    { $skip: 1 },
+    { $limit: 2 },
+    { $project: { _id: 0, customer: '$_id', spent: 1, vip: { $gte: ['$spent', 150] } } }
+  ]);
+  assertDeepEqual(topCustomers, [
+    { customer: 'c1', spent: 170, vip: true },
+    { customer: 'c2', spent: 80, vip: false }
+  ], 'Should rank customers');
+
+  const items = orders.aggregate([{ $unwind: '$items' }, { $project: { _id: 0, items: 1 } }]);
+  assertDeepEqual(items.map(doc => doc.items), ['pen', 'ink', 'pad', 'box'], '$unwind should emit one document per element');
+  assertDeepEqual(orders.aggregate([{ $unwind: '$items' }, { $count: 'lines' }]), [{ lines: 4 }], '$count should count documents');
+  assertEqual(orders.findOne({ customer: 'c1' }).items.length, 2, 'Pipeline should not modify stored documents');
+  passedTests++;
+});
+
+// Test 62: Aggregation with $lookup
+totalTests++;
+test('Aggregation with $lookup', () => {
+  const customers = db2.collection('customers');
+  customers.insert([{ code: 'c1', name: 'Acme' }, { code: 'c2', name: 'Globex' }]);
+
+  const joined = db2.collection('orders').aggregate([
+    { $match: { total: { $lt: 100 } } },
+    { $lookup: { from: 'customers', localField: 'customer', foreignField: 'code', as: 'buyer' } },
+    { $unwind: '$buyer' },
+    { $project: { _id: 0, total: 1, name: '$buyer.name' } }
+  ]);
+  assertDeepEqual(joined, [{ total: 80, name: 'Globex' }, { total: 50, name: 'Acme' }], 'Should join documents');
+
+  let errorThrown = false;
+  try {
+    db2.collection('orders').aggregate([{ $bogus: {} }]);
+  } catch (error) {
+    errorThrown = error.message.includes('Unknown pipeline stage');
+  }
+  assert(errorThrown, 'Unknown stage should throw');
+  passedTests++;
+});
+
+// Test 63: Transaction commits changes across collections
+totalTests++;
+test('Transaction commits changes across collections', () => {
+  const accounts = db2.collection('bank_accounts');
+  const ledger = db2.collection('ledger');
+  accounts.insert([{ owner: 'A', balance: 100 }, { owner: 'B', balance: 20 }]);
+
+  const result = db2.transaction(tx => {
+    tx.collection('bank_accounts').update({ owner: 'A' }, { $inc: { balance: -30 } });
+    tx.collection('bank_accounts').update({ owner: 'B' }, { $inc: { balance: 30 } });
+    tx.collection('ledger').insert({ from: 'A', to: 'B', amount: 30 });
+    return 'done';
+  });
+  assertEqual(result, 'done', 'Should return the callback result');
+
+  const reopened = new NoSQLite('./test_db');
+  assertEqual(reopened.collection('bank_accounts').findOne({ owner: 'A' }).balance, 70, 'Debit should be persisted');
+  assertEqual(reopened.collection('bank_accounts').findOne({ owner: 'B' }).balance, 50, 'Credit should be persisted');
+  assertEqual(reopened.collection('ledger').count(), 1, 'Ledger entry should be persisted');
+  passedTests++;
+});
+
+// Test 64: Transaction rolls back when the callback throws
+totalTests++;
+test('Transaction rolls back when the callback throws', () => {
+  const accounts = db2.collection('bank_accounts');
+  const ledger = db2.collection('ledger');
+  accounts.createUniqueIndex('owner');
+
+  let errorThrown = false;
+  try {
+    db2.transaction(tx => {
+      tx.collection('bank_accounts').update({ owner: 'A' }, { $inc: { balance: -50 } });
+      tx.collection('ledger').insert({ from: 'A', to: 'C', amount: 50 });
+      tx.collection('bank_accounts').insert({ owner: 'C', balance: 0 });
+      tx.collection('bank_accounts').delete({ owner: 'B' });
+      throw new Error('payment gateway down');
+    });
+  } catch (error) {
+    errorThrown = error.message === 'payment gateway down';
+  }
+  assert(errorThrown, 'Should rethrow the callback error');
+
+  assertEqual(accounts.findOne({ owner: 'A' }).balance, 70, 'Update should be rolled back');
+  assertEqual(accounts.count({ owner: 'B' }), 1, 'Delete should be rolled back');
+  assertEqual(accounts.count({ owner: 'C' }), 0, 'Insert should be rolled back');
+  assertEqual(ledger.count(), 1, 'Other collections should be rolled back');
+  assertEqual(accounts.explain({ owner: 'B' }).candidates, 1, 'Indexes should be restored');
+  accounts.insert({ owner: 'C', balance: 0 });
+  assertEqual(new NoSQLite('./test_db').collection('ledger').count(), 1, 'Nothing should be written to disk');
+  passedTests++;
+});
+
+// Test 65: Nested transactions are rejected
+totalTests++;
+test('Nested transactions are rejected', () => {
+  let message = '';
+  try {
+    db2.transaction(() => db2.transaction(() => null));
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.includes('already in progress'), 'Should reject nested transaction');
+  db2.transaction(tx => tx.collection('ledger').insert({ note: 'after nested' }));
+  assertEqual(db2.collection('ledger').count({ note: 'after nested' }), 1, 'Should accept new transactions afterwards');
+  passedTests++;
+});
+
+// Test 66: Corrupted collection file is never replaced
+totalTests++;
+test('Corrupted collection file is never replaced', () => {
+  const filePath = path.join(testDbPath, 'broken.json');
+  fs.writeFileSync(filePath, '[{"_id": "1", "name": "trunc');
+
+  const freshDb = new NoSQLite('./test_db');
+  let message = '';
+  try {
+    freshDb.collection('broken');
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.includes('corrupted'), 'Loading a corrupted file should throw');
+
+  try {
+    freshDb.collection('broken');
+  } catch (error) {
+    message = 'threw again';
+  }
+  assertEqual(message, 'threw again', 'Failed collection should not be cached');
+  assertEqual(fs.readFileSync(filePath, 'utf8'), '[{"_id": "1", "name": "trunc', 'File should be left untouched');
+  fs.unlinkSync(filePath);
+  passedTests++;
+});
+
+// Test 67: Saves replace files atomically
+totalTests++;
+test('Saves replace files atomically', () => {
+  const notes = db2.collection('notes');
+  notes.insert({ text: 'hello' });
+  const leftovers = fs.readdirSync(testDbPath).filter(file => file.endsWith('.tmp'));
+  assertEqual(leftovers.length, 0, 'No temporary files should remain');
+  assertEqual(JSON.parse(fs.readFileSync(notes.filePath, 'utf8')).length, 1, 'File should hold the new contents');
+  passedTests++;
+});
+
+// Test 68: Journal is replayed after an interrupted commit
+totalTests++;
+test('Journal is replayed after an interrupted commit', () => {
+  const journalPath = path.join(testDbPath, 'nosqlite.journal');
+  const committed = {
+    files: [
+      { name: 'journal_a.json', data: JSON.stringify([{ _id: 'a1', value: 1 }]) },
+      { name: 'journal_b.json', data: JSON.stringify([{ _id: 'b1', value: 2 }]) }
+    ]
+  };
+  // A complete record followed by a torn one, as left by a crash mid-append
+  fs.writeFileSync(journalPath, JSON.stringify(committed) + '\n{"files":[{"name":"journal_c.json","da');
+
+  const recovered = new NoSQLite('./test_db');
+  assertEqual(recovered.collection('journal_a').findOne({ _id: 'a1' }).value, 1, 'First file should be replayed');
+  assertEqual(recovered.collection('journal_b').findOne({ _id: 'b1' }).value, 2, 'Second file should be replayed');
+  assert(!recovered.listCollections().includes('journal_c'), 'Torn record should be ignored');
+  assertEqual(fs.readFileSync(journalPath, 'utf8'), '', 'Journal should be cleared');
+
+  recovered.transaction(tx => {
+    tx.collection('journal_a').insert({ value: 3 });
+    tx.collection('journal_b').insert({ value: 4 });
+  });
+  assertEqual(fs.readFileSync(journalPath, 'utf8'), '', 'Journal should be cleared after a commit');
+  passedTests++;
+});
+
+// Test 69: A commit whose file write fails is rolled forward or fully undone
+totalTests++;
+test('A commit whose file write fails is rolled forward or fully undone', () => {
+  // Fails the next `failures` writes of the second collection's file
+  class FailingAdapter extends NoSQLite.MemoryAdapter {
+    write(name, data) {
+      if (name === 'tx_b.json' && this.failures > 0) {
+        this.failures--;
+        throw new Error('Disk full');
+      }
+      super.write(name, data);
+    }
+  }
+  const adapter = new FailingAdapter();
+  adapter.failures = 0;
+  const failing = new NoSQLite(':memory:', { adapter });
+  const transfer = value => failing.transaction(tx => {
+    tx.collection('tx_a').update({}, { $set: { value } }, { upsert: true });
+    tx.collection('tx_b').update({}, { $set: { value } }, { upsert: true });
+  });
+  transfer(1);
+
+  // One failure: replaying the journal record completes the commit
+  adapter.failures = 1;
+  transfer(2);
+  let reopened = new NoSQLite(':memory:', { adapter });
+  assertEqual(reopened.collection('tx_a').findOne({}).value, 2, 'First file should hold the commit');
+  assertEqual(reopened.collection('tx_b').findOne({}).value, 2, 'Second file should be rolled forward');
+  assertEqual(adapter.read('nosqlite.journal'), '', 'Journal should be cleared after rolling forward');
+
+  // Replay fails too: the first file gets its old contents back
+  adapter.failures = 2;
+  let message = null;
+  try {
+    transfer(3);
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Disk full', 'The write error should be reported');
+  assertEqual(failing.collection('tx_a').findOne({}).value, 2, 'Memory should be rolled back');
+  assertEqual(adapter.read('nosqlite.journal'), '', 'The failed record should be dropped');
+  reopened = new NoSQLite(':memory:', { adapter });
+  assertEqual(reopened.collection('tx_a').findOne({}).value, 2, 'First file should be restored');
+  assertEqual(reopened.collection('tx_b').findOne({}).value, 2, 'Second file should be unchanged');
+  passedTests++;
+});
+
+// Test 70: Pending journal records are replayed before a write, not after it
+totalTests++;
+test('Pending journal records are replayed before a write, not after it', () => {
+  const journalPath = path.join(testDbPath, 'nosqlite.journal');
+  const writer = new NoSQLite('./test_db');
+  const stale = {
+    files: [
+      { name: 'journal_x.json', data: JSON.stringify([{ _id: 'x1', value: 'old' }]) },
+      { name: 'journal_y.json', data: JSON.stringify([{ _id: 'y1', value: 'old' }]) }
+    ]
+  };
+  // Left by another process that died after recording its commit
+  fs.writeFileSync(journalPath, JSON.stringify(stale) + '\n');
+
+  writer.collection('journal_x').insert({ value: 'new' });
+  assertEqual(fs.readFileSync(journalPath, 'utf8'), '', 'The record should be replayed before the write');
+  assertEqual(writer.collection('journal_x').count(), 2, 'The write should apply on top of the replayed commit');
+
+  const reopened = new NoSQLite('./test_db');
+  assertEqual(reopened.collection('journal_x').count({ value: 'new' }), 1, 'A later open should keep the newer write');
+  assertEqual(reopened.collection('journal_y').findOne({ _id: 'y1' }).value, 'old', 'Every file of the record should be replayed');
+  passedTests++;
+});
+
+// Test 71: Log storage appends operation records and replays them
+totalTests++;
+test('Log storage appends operation records and replays them', () => {
+  const logDb = new NoSQLite('./test_db', { storage: 'log' });
+  const tasks = logDb.collection('log_tasks');
+  tasks.insert([{ title: 'a', done: false }, { title: 'b', done: false }]);
+  tasks.update({ title: 'a' }, { $set: { done: true } });
+  tasks.delete({ title: 'b' });
+  tasks.insert({ title: 'c', done: false });
+
+  assert(!fs.existsSync(tasks.filePath), 'No JSON file should be written');
+  const lines = fs.readFileSync(tasks.logPath, 'utf8').trim().split('\n');
+  assertEqual(lines.length, 5, 'Each operation should append one record');
+  assertEqual(JSON.parse(lines[3]).op, 'delete', 'Records should describe the operation');
+  assert(logDb.listCollections().includes('log_tasks'), 'Log collections should be listed');
+
+  const reopened = new NoSQLite('./test_db', { storage: 'log' }).collection('log_tasks');
+  assertDeepEqual(reopened.find({}, { sort: { title: 1 } }).map(doc => [doc.title, doc.done]), [['a', true], ['c', false]], 'Replay should rebuild the documents');
+  passedTests++;
+});
+
+// Test 72: Torn log tail is ignored and compact() rewrites the log
+totalTests++;
+test('Torn log tail is ignored and compact() rewrites the log', () => {
+  const logDb = new NoSQLite('./test_db', { storage: 'log' });
+  const counters = logDb.collection('log_counters');
+  counters.insert({ name: 'hits', value: 0 });
+  for (let i = 0; i < 20; i++) {
+    counters.update({ name: 'hits' }, { $inc: { value: 1 } });
+  }
+  // A crash mid-append leaves a record without its newline
+  fs.appendFileSync(counters.logPath, '{"op":"update","doc":{"_id":"x","na');
+
+  const reopened = new NoSQLite('./test_db', { storage: 'log' }).collection('log_counters');
+  assertEqual(reopened.count(), 1, 'Torn record should be ignored');
+  assertEqual(reopened.findOne({ name: 'hits' }).value, 20, 'Complete records should be replayed');
+
+  reopened.insert({ name: 'misses', value: 0 });
+  assertEqual(new NoSQLite('./test_db', { storage: 'log' }).collection('log_counters').count(), 2, 'Append should start after the torn record');
+
+  // Appending to an intact log reads its last byte, not the whole file
+  const readFileSync = fs.readFileSync;
+  let logReads = 0;
+  fs.readFileSync = (file, ...args) => {
+    if (path.resolve(String(file)) === path.resolve(reopened.logPath)) logReads++;
+    return readFileSync(file, ...args);
+  };
+  try {
+    reopened.update({ name: 'misses' }, { $inc: { value: 1 } });
+  } finally {
+    fs.readFileSync = readFileSync;
+  }
+  assertEqual(logReads, 0, 'Appends should not read the whole log');
+
+  const sizeBefore = fs.statSync(reopened.logPath).size;
+  assertEqual(reopened.compact(), true, 'compact() should succeed');
+  assert(fs.statSync(reopened.logPath).size < sizeBefore, 'Compaction should shrink the log');
+  assertEqual(fs.readFileSync(reopened.logPath, 'utf8').trim().split('\n').length, 2, 'One record per live document should remain');
+  assertEqual(new NoSQLite('./test_db', { storage: 'log' }).collection('log_counters').findOne({ name: 'hits' }).value, 20, 'Compacted log should load');
+  passedTests++;
+});
+
+// Test 73: JSON collections migrate to the log engine
+totalTests++;
+test('JSON collections migrate to the log engine', () => {
+  const jsonDb = new NoSQLite('./test_db');
+  jsonDb.collection('migrating').insert([{ n: 1 }, { n: 2 }]);
+
+  const logDb = new NoSQLite('./test_db', { storage: 'log' });
+  const migrating = logDb.collection('migrating');
+  assertEqual(migrating.count(), 2, 'Existing JSON data should be readable');
+  migrating.insert({ n: 3 });
+  assert(!fs.existsSync(migrating.filePath), 'JSON file should be replaced by the log');
+  assertEqual(fs.readFileSync(migrating.logPath, 'utf8').trim().split('\n').length, 3, 'First save should write a full snapshot');
+
+  logDb.transaction(tx => {
+    tx.collection('migrating').insert({ n: 4 });
+    tx.collection('log_tasks').insert({ title: 'd', done: false });
+  });
+  assertEqual(new NoSQLite('./test_db', { storage: 'log' }).collection('migrating').count(), 4, 'Transactions should append to the log');
+
+  const back = new NoSQLite('./test_db').collection('migrating');
+  assertEqual(back.count(), 4, 'The JSON engine should read logs too');
+  passedTests++;
+});
+
+// Test 74: Collections reload changes made by another process
+totalTests++;
+test('Collections reload changes made by another process', () => {
+  // Two instances keep separate in-memory copies, like two worker processes
+  const workerA = new NoSQLite('./test_db').collection('shared');
+  const workerB = new NoSQLite('./test_db').collection('shared');
+  workerA.insert({ from: 'a' });
+  assertEqual(workerB.count(), 1, 'Reads should pick up the other writer');
+
+  workerB.insert({ from: 'b' });
+  workerA.update({ from: 'a' }, { $set: { seen: true } });
+  const reopened = new NoSQLite('./test_db').collection('shared');
+  assertEqual(reopened.count(), 2, 'No write should be lost');
+  assertEqual(reopened.findOne({ from: 'a' }).seen, true, 'Update should be applied to the latest data');
+
+  workerB.createIndex('from', { unique: true });
+  let message = '';
+  try {
+    workerA.insert({ from: 'b' });
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.includes('Duplicate key'), 'Indexes created elsewhere should be enforced');
+  assert(!fs.existsSync(workerA.lockPath), 'Lock file should be released');
+  passedTests++;
+});
+
+// Test 75: Abandoned locks are taken over and live locks time out
+totalTests++;
+test('Abandoned locks are taken over and live locks time out', () => {
+  const lockDb = new NoSQLite('./test_db', { lockTimeout: 100 });
+  const jobs = lockDb.collection('jobs');
+
+  const { pid: deadPid } = require('child_process').spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(jobs.lockPath, JSON.stringify({ pid: deadPid, time: Date.now() }));
+  jobs.insert({ name: 'after crash' });
+  assertEqual(jobs.count(), 1, 'Lock of a dead process should be taken over');
+
+  fs.writeFileSync(jobs.lockPath, JSON.stringify({ pid: process.pid, time: Date.now() }));
+  let message = '';
+  try {
+    jobs.insert({ name: 'blocked' });
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.includes('Timed out waiting for lock'), 'A held lock should time out');
+  fs.unlinkSync(jobs.lockPath);
+  assertEqual(jobs.count(), 1, 'Timed out write should not be applied');
+  passedTests++;
+});
+
+// Test 76: Schema validation rejects invalid inserts and updates
+totalTests++;
+test('Schema validation rejects invalid inserts and updates', () => {
+  const members = db2.createCollection('members', {
+    validator: {
+      type: 'object',
+      required: ['name', 'age'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'integer', minimum: 0, maximum: 150 },
+        role: { enum: ['admin', 'user'] },
+        email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+        address: { type: 'object', required: ['city'], properties: { city: { type: 'string' } } },
+        tags: { type: 'array', maxItems: 3, items: { type: 'string' } }
+      }
+    }
+  });
+
+  const valid = members.insert({ name: 'Ann', age: 30, tags: ['a'], address: { city: 'Oslo' } });
+  assert(valid._id, 'Valid document should be inserted');
+
+  let error = null;
+  try {
+    members.insert([{ name: 'Bob', age: 40 }, { name: 'Cy', age: 'twenty', tags: ['x', 2], address: {} }]);
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof NoSQLite.ValidationError, 'Should throw a ValidationError');
+  assertDeepEqual(error.errors.map(e => [e.path, e.keyword]), [
+    ['age', 'type'],
+    ['tags.1', 'type'],
+    ['address.city', 'required']
+  ], 'Errors should name the failing paths');
+  assertEqual(members.count(), 1, 'No document of an invalid batch should be inserted');
+
+  // Unique keys are checked for the whole batch too, against stored documents and each other
+  const badges = db2.collection('batch_badges');
+  badges.createUniqueIndex('code');
+  badges.insert({ code: 'a' });
+  const rejectsBatch = batch => {
+    try {
+      badges.insert(batch);
+    } catch (e) {
+      return e.message.startsWith('Duplicate key error');
+    }
+    return false;
+  };
+  assert(rejectsBatch([{ code: 'b' }, { code: 'a' }]), 'A key already stored should fail the batch');
+  assert(rejectsBatch([{ code: 'c' }, { code: 'd' }, { code: 'c' }]), 'A key repeated in the batch should fail it');
+  assertEqual(badges.count(), 1, 'No document of a failed batch should stay in memory');
+  badges.insert({ code: 'e' });
+  assertDeepEqual(new NoSQLite('./test_db').collection('batch_badges').find({}, { sort: { code: 1 } }).map(doc => doc.code),
+    ['a', 'e'], 'The next write should not save documents of a failed batch');
+
+  error = null;
+  try {
+    members.update({ name: 'Ann' }, { $set: { role: 'owner' }, $inc: { age: 200 } });
+  } catch (e) {
+    error = e;
+  }
+  assertDeepEqual(error.errors.map(e => e.path), ['age', 'role'], 'Update results should be validated');
+  assertEqual(members.findOne({ name: 'Ann' }).age, 30, 'Rejected update should not be applied');
+
+  assertDeepEqual(members.validate({ name: 'Dee', age: 5, extra: true }).errors.map(e => e.keyword), ['additionalProperties'], 'validate() should report without writing');
+  assertEqual(new NoSQLite('./test_db').collection('members').getSchema().validationMode, 'strict', 'Schema should persist');
+  passedTests++;
+});
+
+// Test 77: Warn mode writes invalid documents and schemas are checked
+totalTests++;
+test('Warn mode writes invalid documents and schemas are checked', () => {
+  const drafts = db2.collection('drafts');
+  drafts.setSchema({ properties: { title: { type: 'string' } } }, { validationMode: 'warn' });
+
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    drafts.insert({ title: 42 });
+  } finally {
+    console.warn = originalWarn;
+  }
+  assertEqual(drafts.count(), 1, 'Warn mode should still write');
+  assert(warnings[0].includes('title must be of type string'), 'Warn mode should log the failure');
+
+  let message = '';
+  try {
+    drafts.setSchema({ properties: { title: { format: 'email' } } });
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Unknown schema keyword: format', 'Unsupported keywords should be rejected');
+
+  drafts.setSchema(null);
+  assertEqual(drafts.getSchema(), null, 'Schema should be removable');
+  passedTests++;
+});
+
+// Test 78: Writes emit change records
+totalTests++;
+test('Writes emit change records', () => {
+  const eventsDb = new NoSQLite('./test_db');
+  const orders = eventsDb.collection('watched_orders');
+  const changes = [];
+  const dbChanges = [];
+  orders.on('change', change => changes.push(change));
+  eventsDb.on('change', change => dbChanges.push(change.collection));
+
+  const stream = orders.watch({ status: 'paid' });
+  const paid = [];
+  stream.on('change', change => paid.push(change.operationType));
+
+  const order = orders.insert({ item: 'book', status: 'new', notes: 'gift' });
+  orders.update({ _id: order._id }, { $set: { status: 'paid' }, $unset: { notes: '' } });
+  orders.delete({ _id: order._id });
+
+  assertDeepEqual(changes.map(change => change.operationType), ['insert', 'update', 'delete'], 'Each write should emit a change');
+  assertEqual(changes[0].documentId, order._id, 'Change should carry the document id');
+  assertEqual(changes[1].fullDocument.status, 'paid', 'Change should carry the full document');
+  assertEqual(changes[1].updateDescription.updatedFields.status, 'paid', 'Update description should list updated fields');
+  assertDeepEqual(changes[1].updateDescription.removedFields, ['notes'], 'Update description should list removed fields');
+  assertDeepEqual(dbChanges, ['watched_orders', 'watched_orders', 'watched_orders'], 'Database should emit changes too');
+  assertDeepEqual(paid, ['update', 'delete'], 'watch() should only deliver matching documents');
+
+  stream.close();
+  orders.insert({ status: 'paid' });
+  assertEqual(paid.length, 2, 'Closed stream should stop delivering');
+
+  changes.length = 0;
+  try {
+    eventsDb.transaction(tx => {
+      tx.collection('watched_orders').insert({ status: 'rolled back' });
+      throw new Error('abort');
+    });
+  } catch (error) {
+    // expected
+  }
+  assertEqual(changes.length, 0, 'Rolled back writes should not emit');
+  eventsDb.transaction(tx => {
+    tx.collection('watched_orders').insert({ status: 'committed' });
+    assertEqual(changes.length, 0, 'Changes should wait for the commit');
+  });
+  assertEqual(changes.length, 1, 'Committed writes should emit');
+  passedTests++;
+});
+
+// Test 79: Pre hooks modify or reject writes and post hooks see the result
+totalTests++;
+test('Pre hooks modify or reject writes and post hooks see the result', () => {
+  const articles = new NoSQLite('./test_db').collection('hooked_articles');
+  const saved = [];
+  articles
+    .pre('insert', doc => ({ ...doc, slug: doc.title.toLowerCase().replace(/ /g, '-') }))
+    .pre('update', (doc, previous) => {
+      if (previous.locked) throw new Error('Article is locked');
+      doc.revision = (previous.revision || 0) + 1;
+    })
+    .pre('delete', doc => {
+      if (doc.published) throw new Error('Cannot delete published articles');
+    })
+    .post('insert', change => saved.push(change.fullDocument.slug));
+
+  const article = articles.insert({ title: 'Hello World' });
+  assertEqual(article.slug, 'hello-world', 'Pre hook should modify inserted documents');
+  assertDeepEqual(saved, ['hello-world'], 'Post hook should receive the change');
+
+  articles.update({ _id: article._id }, { $set: { published: true } });
+  assertEqual(articles.findOne({ _id: article._id }).revision, 1, 'Pre hook should modify updated documents');
+
+  let message = '';
+  try {
+    articles.delete({});
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Cannot delete published articles', 'Pre hook should reject deletes');
+  assertEqual(articles.count(), 1, 'Rejected delete should remove nothing');
+
+  articles.insert({ title: 'Locked', locked: true });
+  message = '';
+  try {
+    articles.update({}, { $set: { title: 'Changed' } });
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Article is locked', 'Pre hook should reject updates');
+  assertEqual(articles.count({ title: 'Changed' }), 0, 'Rejected update should change nothing');
+  passedTests++;
+});
+
+// Test 80: Cursors chain options and stop early
+totalTests++;
+test('Cursors chain options and stop early', () => {
+  const readings = new NoSQLite('./test_db').collection('readings');
+  readings.insert(Array.from({ length: 50 }, (_, i) => ({ sensor: i % 2 ? 'b' : 'a', value: i })));
+
+  const cursor = readings.find({ sensor: 'a' }, { cursor: true });
+  assert(cursor instanceof NoSQLite.Cursor, 'cursor: true should return a Cursor');
+  assertEqual(cursor.count(), 25, 'count() should ignore skip and limit');
+
+  const values = cursor.sort({ value: -1 }).skip(1).limit(3).project({ value: 1 }).map(doc => doc.value).toArray();
+  assertDeepEqual(values, [46, 44, 42], 'Cursor should sort, skip, limit, project and map');
+
+  let examined = 0;
+  const first = [];
+  const lazy = readings.find({}, { cursor: true }).limit(2).map(doc => {
+    examined++;
+    return doc.value;
+  });
+  for (const value of lazy) {
+    first.push(value);
+  }
+  assertDeepEqual(first, [0, 1], 'for...of should yield in natural order');
+  assertEqual(examined, 2, 'A limit should stop iteration early');
+
+  let copies = 0;
+  readings.find({ sensor: 'b' }, { cursor: true }).forEach(doc => {
+    readings.insert({ sensor: 'b', value: doc.value + 100 });
+    copies++;
+  });
+  assertEqual(copies, 25, 'Documents inserted while iterating should not be visited');
+  assertDeepEqual(readings.find({ sensor: 'a' }, { limit: 2, skip: 1 }).map(doc => doc.value), [2, 4], 'find() should still return arrays');
+  passedTests++;
+});
+
+// Test 81: Keyset pagination is stable across writes
+totalTests++;
+test('Keyset pagination is stable across writes', () => {
+  const posts = new NoSQLite('./test_db').collection('paged_posts');
+  posts.insert(Array.from({ length: 12 }, (_, i) => ({ score: i % 4, title: `post ${i}` })));
+  posts.insert({ title: 'unscored' });
+
+  const collect = sort => {
+    const seen = [];
+    let page = posts.paginate({}, { sort, limit: 5 });
+    seen.push(...page.items.map(doc => doc.title));
+    // Writes between requests must not shift the following pages
+    posts.insert({ score: -1, title: 'late arrival' });
+    while (page.hasMore) {
+      page = posts.paginate({}, { sort, limit: 5, after: page.nextCursor });
+      seen.push(...page.items.map(doc => doc.title));
+    }
+    posts.delete({ title: 'late arrival' });
+    return seen;
+  };
+
+  const ascending = collect({ score: 1 });
+  assertEqual(ascending.length, 13, 'Every document should be returned once');
+  assertEqual(new Set(ascending).size, 13, 'No document should repeat');
+  assertEqual(ascending[0], 'unscored', 'Missing values should sort first');
+
+  posts.createIndex('score');
+  assertDeepEqual(collect({ score: 1 }), ascending, 'An index on the sort field should give the same pages');
+  const descending = collect({ score: -1 });
+  assertEqual(descending[descending.length - 1], 'unscored', 'Missing values should sort last when descending');
+  assertEqual(new Set(descending).size, descending.length, 'Descending pages should not repeat documents');
+  assert(descending.includes('late arrival'), 'Documents inserted after the current page should still be reached');
+
+  const filtered = posts.paginate({ score: { $gte: 2 } }, { sort: { score: -1 }, limit: 10 });
+  assertEqual(filtered.items.length, 6, 'Query should filter pages');
+  assertEqual(filtered.hasMore, false, 'Last page should report no more');
+  assertEqual(filtered.nextCursor, null, 'Last page should have no cursor');
+
+  let message = '';
+  try {
+    const first = posts.paginate({}, { sort: { score: 1 }, limit: 2 });
+    posts.paginate({}, { sort: { title: 1 }, after: first.nextCursor });
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.startsWith('Invalid pagination cursor'), 'Cursor of a different sort should be rejected');
+  passedTests++;
+});
+
+// Test 82: Text index search with ranking, phrases and negation
+totalTests++;
+test('Text index search with ranking, phrases and negation', () => {
+  const articles = new NoSQLite('./test_db').collection('articles');
+  articles.insert([
+    { title: 'Running shoes', description: 'Light shoes for runners who run daily' },
+    { title: 'Trail guide', description: 'Running on mountain trails in wet weather' },
+    { title: 'Café reviews', description: 'Coffee and cakes in the old town' },
+    { title: 'Marathon diary', description: 'Notes from a long run', tags: ['running', 'race'] }
+  ]);
+  articles.createTextIndex(['title', 'description', 'tags'], { weights: { title: 5 } });
+
+  const titles = docs => docs.map(doc => doc.title);
+  assertDeepEqual(titles(articles.find({ $text: { $search: 'runs' } })).sort(),
+    ['Marathon diary', 'Running shoes', 'Trail guide'], 'Stemming should match run, runs and running');
+  assertDeepEqual(titles(articles.find({ $text: { $search: 'cafe' } })), ['Café reviews'], 'Accents should be ignored');
+  assertDeepEqual(titles(articles.find({ $text: { $search: '"mountain trails"' } })), ['Trail guide'], 'Phrases should match exactly');
+  assertDeepEqual(titles(articles.find({ $text: { $search: 'running -shoes -"long run"' } })), ['Trail guide'], 'Negated terms and phrases should exclude');
+  assertEqual(articles.explain({ $text: { $search: 'coffee' } }).index, '$text', 'Text queries should use the text index');
+
+  const ranked = articles.find(
+    { $text: { $search: 'running shoes' }, title: { $ne: 'Café reviews' } },
+    { projection: { title: 1, score: { $meta: 'textScore' } }, sort: { score: { $meta: 'textScore' } } }
+  );
+  assertEqual(ranked[0].title, 'Running shoes', 'Title weight should rank title matches first');
+  assert(ranked[0].score > ranked[1].score && ranked[1].score > 0, 'Scores should be projected in descending order');
+  assertEqual(ranked[0].description, undefined, 'Inclusion projection should still apply');
+
+  articles.update({ title: 'Trail guide' }, { $set: { description: 'Hiking in wet weather' } });
+  articles.insert({ title: 'Sprint', description: 'Shoes for sprinting' });
+  assertDeepEqual(titles(articles.find({ $text: { $search: 'shoes' } })), ['Running shoes', 'Sprint'], 'Index should follow writes');
+  assertEqual(articles.count({ $text: { $search: 'hiking' } }), 1, 'Updated text should be searchable');
+
+  const reopened = new NoSQLite('./test_db').collection('articles');
+  const [withScore] = reopened.find({ $text: { $search: 'coffee' } }, { projection: { score: { $meta: 'textScore' } } });
+  assertEqual(withScore.title, 'Café reviews', 'Text index should be rebuilt after reopening');
+  assert(withScore.score > 0, 'A score-only projection should keep every field and add the score');
+  assertEqual(reopened.db.listIndexes('articles')[0].language, 'english', 'Text index should be listed');
+
+  const expectError = (fn, expected, description) => {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    assert(message.includes(expected), description);
+  };
+  expectError(() => reopened.find({ $or: [{ $text: { $search: 'x' } }] }), 'top level', '$text should only be allowed at the top level');
+  expectError(() => reopened.find({}, { projection: { score: { $meta: 'textScore' } } }), 'requires a $text query', 'Text score needs a $text query');
+  assert(reopened.db.dropIndex('articles', '$text'), 'Text index should be droppable');
+  expectError(() => reopened.find({ $text: { $search: 'coffee' } }), 'requires a text index', '$text should need a text index');
+  passedTests++;
+});
+
+// Test 83: TTL indexes expire documents
+totalTests++;
+test('TTL indexes expire documents', () => {
+  const ttlDb = new NoSQLite('./test_db');
+  const sessions = ttlDb.collection('sessions');
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60000);
+  sessions.insert([
+    { user: 'old', lastSeen: minutesAgo(90) },
+    { user: 'recent', lastSeen: minutesAgo(5) },
+    { user: 'history', lastSeen: [minutesAgo(5), minutesAgo(120)] },
+    { user: 'no date', lastSeen: 'yesterday' }
+  ]);
+  sessions.createIndex('lastSeen', { expireAfterSeconds: 3600 });
+
+  const users = docs => docs.map(doc => doc.user);
+  assertDeepEqual(users(sessions.find()), ['recent', 'no date'], 'Expired documents should be left out of reads right away');
+  assertEqual(sessions.count(), 2, 'Count should skip expired documents');
+  assertEqual(sessions.aggregate([{ $count: 'n' }])[0].n, 2, 'Aggregation should skip expired documents');
+  assertEqual(sessions.documents.length, 4, 'Expired documents should wait for the purge');
+  assertEqual(sessions.listIndexes()[0].expireAfterSeconds, 3600, 'TTL should be listed');
+
+  const deleted = [];
+  sessions.on('change', change => deleted.push(change.operationType));
+  assertEqual(sessions.purgeExpired().deletedCount, 2, 'purgeExpired should delete expired documents');
+  assertDeepEqual(deleted, ['delete', 'delete'], 'Purging should emit delete changes');
+
+  sessions.update({ user: 'recent' }, { $set: { lastSeen: minutesAgo(61) } });
+  const reopenedDb = new NoSQLite('./test_db');
+  const reopened = reopenedDb.collection('sessions');
+  assertDeepEqual(users(reopened.documents), ['no date'], 'Expired documents should be deleted on load');
+  reopenedDb.close();
+  ttlDb.close();
+  assertEqual(ttlDb._ttlTimer, null, 'close() should stop the TTL timer');
+
+  let message = '';
+  try {
+    sessions.createIndex('lastSeen', { expireAfterSeconds: -1 });
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'expireAfterSeconds must be a non-negative number', 'Negative TTL should be rejected');
+  passedTests++;
+});
+
+// Test 84: Dates, Buffers, BigInts and RegExps survive a round trip through disk
+totalTests++;
+test('Dates, Buffers, BigInts and RegExps survive a round trip through disk', () => {
+  const rich = {
+    when: new Date('2024-03-01T10:00:00.000Z'),
+    avatar: Buffer.from([0, 1, 254, 255]),
+    views: 9007199254740993n,
+    pattern: /^ab+c$/gi,
+    nested: { dates: [new Date('2024-01-01T00:00:00.000Z')] },
+    literal: { $date: 42 }
+  };
+
+  ['json', 'log'].forEach(storage => {
+    const name = `typed_${storage}`;
+    const events = new NoSQLite('./test_db', { storage }).collection(name);
+    events.insert([{ ...rich }, { when: new Date('2023-06-01T00:00:00.000Z'), views: 5n }, { when: '2025-01-01' }]);
+
+    const reopened = new NoSQLite('./test_db', { storage }).collection(name);
+    const doc = reopened.findOne({ views: 9007199254740993n });
+    assert(doc.when instanceof Date && doc.when.getTime() === rich.when.getTime(), `${storage}: Dates should come back as Dates`);
+    assert(Buffer.isBuffer(doc.avatar) && doc.avatar.equals(rich.avatar), `${storage}: Buffers should come back as Buffers`);
+    assertEqual(typeof doc.views, 'bigint', `${storage}: BigInts should come back as BigInts`);
+    assert(doc.pattern instanceof RegExp && String(doc.pattern) === String(rich.pattern), `${storage}: RegExps should keep pattern and flags`);
+    assert(doc.nested.dates[0] instanceof Date, `${storage}: Nested dates should be restored`);
+    assertDeepEqual(doc.literal, { $date: 42 }, `${storage}: Objects that only look like wrappers should be kept`);
+
+    const after = reopened.find({ when: { $gt: new Date('2024-01-01T00:00:00.000Z') } });
+    assertEqual(after.length, 2, `${storage}: Date ranges should compare dates, and ISO date strings as dates`);
+    assertEqual(reopened.count({ when: { $gt: '2024' } }), 1, `${storage}: String bounds should not match dates`);
+    assertEqual(reopened.count({ views: 5 }), 1, `${storage}: BigInts should equal the same number`);
+    assertEqual(reopened.count({ avatar: { $type: 'binData' } }), 1, `${storage}: $type should know Buffers`);
+  });
+
+  const events = new NoSQLite('./test_db').collection('typed_json');
+  events.createIndex('when', { unique: true });
+  const plan = events.explain({ when: new Date('2023-06-01T00:00:00.000Z') });
+  assertEqual(plan.index, 'when', 'Date equality should use the index');
+  assertEqual(plan.candidates, 1, 'The index should find the date');
+  let message = '';
+  try {
+    events.insert({ when: new Date('2024-03-01T10:00:00.000Z') });
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Duplicate key error: when must be unique', 'Equal dates should clash in a unique index');
+
+  const page = events.paginate({}, { sort: { when: -1 }, limit: 1 });
+  const next = events.paginate({}, { sort: { when: -1 }, limit: 1, after: page.nextCursor });
+  assertEqual(page.items[0].when.getTime(), rich.when.getTime(), 'Latest date should come first');
+  assertEqual(next.items[0].when.toISOString(), '2023-06-01T00:00:00.000Z', 'Page tokens should keep dates');
+
+  // Timestamps are ISO strings, so Date bounds must compare them as dates, with or without an index
+  const stamped = new NoSQLite(':memory:').collection('stamped');
+  stamped.insert({ name: 'old' });
+  const cutoff = new Date(Date.now() + 5);
+  while (Date.now() <= cutoff.getTime() + 1) { /* wait past the cutoff */ }
+  stamped.insert({ name: 'new' });
+  stamped.update({ name: 'old' }, { $currentDate: { checkedAt: true } });
+  assertDeepEqual(stamped.find({ _createdAt: { $gt: cutoff } }).map(doc => doc.name), ['new'], '_createdAt should filter by Date');
+  assertEqual(stamped.count({ _createdAt: { $lte: cutoff } }), 1, '$lte should compare _createdAt as a date');
+  assertEqual(stamped.count({ _updatedAt: { $gte: cutoff } }), 2, '_updatedAt should filter by Date');
+  assertEqual(stamped.count({ checkedAt: { $gt: cutoff } }), 1, '$currentDate values should filter by Date');
+  stamped.createIndex('_createdAt');
+  assertEqual(stamped.explain({ _createdAt: { $gt: cutoff } }).index, '_createdAt', 'The range should use the index');
+  assertDeepEqual(stamped.find({ _createdAt: { $gt: cutoff } }).map(doc => doc.name), ['new'], 'Index scans should compare dates too');
+
+  // ISO string bounds still match Date values, such as those written by $currentDate
+  const mixed = new NoSQLite(':memory:').collection('mixed');
+  mixed.insert([{ t: '2024-03-01T00:00:00.000Z' }, { t: new Date('2024-06-01') }, { t: new Date('2023-06-01') }]);
+  assertEqual(mixed.count({ t: { $gte: '2024-01-01' } }), 2, 'A string bound should compare Date values as dates');
+  assertEqual(mixed.count({ t: { $lt: '2024-01-01' } }), 1, 'A string bound should exclude earlier dates');
+  mixed.createIndex('t');
+  assertEqual(mixed.count({ t: { $gte: '2024-01-01' } }), 2, 'Index scans should compare string bounds with dates');
+  assertEqual(stamped.count({ checkedAt: { $gte: cutoff.toISOString() } }), 1, '$currentDate values should match string bounds');
+  passedTests++;
+});
+
+// Test 85: Encryption at rest with field encryption and key rotation
+totalTests++;
+test('Encryption at rest with field encryption and key rotation', () => {
+  const encDbPath = path.join(testDbPath, 'encrypted');
+  const key = crypto.randomBytes(32);
+  const expectError = (fn, expected, description) => {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    assert(message.includes(expected), `${description} (got: ${message})`);
+  };
+
+  ['json', 'log'].forEach(storage => {
+    const name = `patients_${storage}`;
+    const file = path.join(encDbPath, `${name}${storage === 'log' ? '.ndjson' : '.json'}`);
+    new NoSQLite(encDbPath, { storage, encryptionKey: key }).collection(name)
+      .insert([{ name: 'Ada Lovelace', ssn: '123-45-6789', born: new Date('1815-12-10') }, { name: 'Alan Turing' }]);
+
+    const raw = fs.readFileSync(file, 'utf8');
+    assert(raw.startsWith('{"$encrypted":') && !raw.includes('Lovelace'), `${storage}: File should be encrypted`);
+    const reopened = new NoSQLite(encDbPath, { storage, encryptionKey: key.toString('hex') }).collection(name);
+    assertEqual(reopened.findOne({ ssn: '123-45-6789' }).name, 'Ada Lovelace', `${storage}: Key should decrypt the file`);
+    assert(reopened.findOne({ name: 'Ada Lovelace' }).born instanceof Date, `${storage}: Types should survive encryption`);
+
+    expectError(() => new NoSQLite(encDbPath, { storage, encryptionKey: crypto.randomBytes(32) }).collection(name),
+      'wrong encryption key or tampered file', `${storage}: Wrong key should fail`);
+    expectError(() => new NoSQLite(encDbPath, { storage }).collection(name), 'is encrypted', `${storage}: Missing key should fail`);
+  });
+
+  const file = path.join(encDbPath, 'patients_json.json');
+  const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const tampered = Buffer.from(envelope.$encrypted, 'base64');
+  tampered[tampered.length - 1] ^= 1;
+  fs.writeFileSync(file, JSON.stringify({ $encrypted: tampered.toString('base64') }));
+  const tamperedDb = new NoSQLite(encDbPath, { encryptionKey: key });
+  expectError(() => tamperedDb.collection('patients_json'), 'tampered', 'Tampered file should fail');
+  expectError(() => tamperedDb.collection('patients_json'), 'tampered', 'Failed loads should not leave an empty collection behind');
+  fs.unlinkSync(file);
+
+  const fieldsPath = path.join(testDbPath, 'encrypted_fields');
+  const fieldsOptions = { encryptionKey: key, encryptFiles: false, encryptedFields: { members: ['ssn', 'card.number'] } };
+  new NoSQLite(fieldsPath, fieldsOptions).collection('members')
+    .insert({ name: 'Grace Hopper', ssn: '987-65-4321', card: { number: '4111111111111111', expires: '12/30' } });
+  const readable = fs.readFileSync(path.join(fieldsPath, 'members.json'), 'utf8');
+  assert(readable.includes('Grace Hopper') && readable.includes('12/30'), 'Other fields should stay readable');
+  assert(!readable.includes('987-65-4321') && !readable.includes('4111111111111111'), 'Chosen fields should be encrypted');
+  const members = new NoSQLite(fieldsPath, fieldsOptions).collection('members');
+  assertEqual(members.findOne({ 'card.number': '4111111111111111' }).ssn, '987-65-4321', 'Encrypted fields should be decrypted on load');
+  expectError(() => new NoSQLite(fieldsPath, { encryptedFields: { members: ['ssn'] } }), 'requires an encryptionKey', 'Field encryption needs a key');
+
+  // Reopened with the key only: the fields saved in meta stay encrypted
+  new NoSQLite(fieldsPath, { encryptionKey: key, encryptFiles: false }).collection('members')
+    .insert({ name: 'Katherine Johnson', ssn: '555-12-3456' });
+  const rewritten = fs.readFileSync(path.join(fieldsPath, 'members.json'), 'utf8');
+  assert(!rewritten.includes('987-65-4321') && !rewritten.includes('555-12-3456'), 'Saved encrypted fields should stay encrypted');
+  assertDeepEqual(JSON.parse(fs.readFileSync(path.join(fieldsPath, 'members.meta.json'), 'utf8')).encryptedFields,
+    ['ssn', 'card.number'], 'Encrypted fields should be saved in meta');
+
+  const newKey = crypto.randomBytes(32).toString('base64');
+  const rotating = new NoSQLite(encDbPath, { storage: 'log', encryptionKey: key });
+  expectError(() => rotating.rotateKey('too short'), 'must be 32 bytes', 'Invalid keys should be rejected');
+  assert(rotating.rotateKey(newKey), 'rotateKey should succeed');
+  expectError(() => new NoSQLite(encDbPath, { storage: 'log', encryptionKey: key }).collection('patients_log'),
+    'wrong encryption key', 'Old key should no longer work');
+  const rotated = new NoSQLite(encDbPath, { storage: 'log', encryptionKey: newKey });
+  assertEqual(rotated.collection('patients_log').count(), 2, 'New key should read rotated files');
+
+  const plainPath = path.join(testDbPath, 'encrypted_later');
+  const plain = new NoSQLite(plainPath);
+  plain.collection('notes').insert({ text: 'secret plans' });
+  plain.rotateKey(key);
+  assert(!fs.readFileSync(path.join(plainPath, 'notes.json'), 'utf8').includes('secret'), 'rotateKey should encrypt a plaintext database');
+  expectError(() => new NoSQLite(plainPath, { encryptionKey: newKey }).collection('notes'), 'wrong encryption key', 'Only the new key should open it');
+  passedTests++;
+});
+
+// Test 86: In-memory databases and custom storage adapters
+totalTests++;
+test('In-memory databases and custom storage adapters', () => {
+  const memory = new NoSQLite(':memory:');
+  const users = memory.collection('users');
+  users.createIndex('email', { unique: true });
+  users.insert([{ email: 'a@example.com', age: 30 }, { email: 'b@example.com', age: 40 }]);
+  users.update({ email: 'a@example.com' }, { $inc: { age: 1 } });
+  assertEqual(users.findOne({ email: 'a@example.com' }).age, 31, 'CRUD should work in memory');
+  assertEqual(users.explain({ email: 'b@example.com' }).index, 'email', 'Indexes should work in memory');
+  assert(!fs.existsSync(path.resolve(':memory:')), 'No directory should be created');
+  assertDeepEqual(memory.listCollections(), ['users'], 'Collections should be listed from memory');
+  assertEqual(new NoSQLite(':memory:').collection('users').count(), 0, 'Separate in-memory databases should not share data');
+
+  ['json', 'log'].forEach(storage => {
+    const adapter = new NoSQLite.MemoryAdapter();
+    const first = new NoSQLite(':memory:', { adapter, storage });
+    first.collection('accounts').insert([{ owner: 'a', balance: 100 }, { owner: 'b', balance: 0 }]);
+    first.transaction(tx => {
+      tx.collection('accounts').update({ owner: 'a' }, { $inc: { balance: -25 } });
+      tx.collection('ledger').insert({ from: 'a', to: 'b', amount: 25 });
+    });
+    const second = new NoSQLite(':memory:', { adapter, storage });
+    assertEqual(second.collection('accounts').findOne({ owner: 'a' }).balance, 75, `${storage}: A shared adapter should persist data`);
+    assertEqual(second.collection('ledger').count(), 1, `${storage}: Transactions should commit through the adapter`);
+    assertEqual(adapter.read('nosqlite.journal'), '', `${storage}: The journal should be cleared after commit`);
+    second.dropCollection('ledger');
+    assert(adapter.list().every(name => !name.startsWith('ledger')), `${storage}: Dropping should delete entries`);
+  });
+
+  class CountingAdapter extends NoSQLite.MemoryAdapter {
+    constructor() {
+      super();
+      this.writes = 0;
+    }
+
+    write(name, data) {
+      this.writes++;
+      super.write(name, data);
+    }
+  }
+  const counting = new CountingAdapter();
+  new NoSQLite('./unused_path', { adapter: counting }).collection('events').insert({ type: 'click' });
+  assert(counting.writes > 0, 'A custom adapter should receive writes');
+  assert(!fs.existsSync(path.resolve('./unused_path')), 'A custom adapter should replace the file storage');
+  let message = '';
+  try {
+    new NoSQLite('./unused_path', { adapter: new NoSQLite.StorageAdapter() }).collection('events');
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.includes('does not implement'), 'Missing adapter methods should be reported');
+  passedTests++;
+});
+
+// Test 87: Backups are verified and restored
+totalTests++;
+test('Backups are verified and restored', () => {
+  const livePath = path.join(testDbPath, 'backup_live');
+  const backupPath = path.join(testDbPath, 'backups', 'snapshot');
+  const archivePath = path.join(testDbPath, 'backups', 'snapshot.gz');
+  const expectError = (fn, expected, description) => {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    assert(message.includes(expected), `${description} (got: ${message})`);
+  };
+
+  const live = new NoSQLite(livePath);
+  live.collection('orders').insert([{ item: 'book', qty: 1 }, { item: 'pen', qty: 5 }]);
+  live.collection('orders').createIndex('item');
+  new NoSQLite(livePath, { storage: 'log' }).collection('events').insert({ type: 'signup' });
+
+  const manifest = live.backup(backupPath);
+  assertDeepEqual(manifest.collections.sort(), ['events', 'orders'], 'Every collection should be backed up');
+  assert(manifest.files.some(file => file.name === 'orders.meta.json'), 'Index metadata should be backed up');
+  assert(fs.existsSync(path.join(backupPath, 'nosqlite.manifest')), 'The manifest should be written');
+  live.backup(archivePath, { compress: true });
+  expectError(() => live.backup(backupPath), 'already exists', 'Existing backups should not be overwritten');
+
+  // Changes after the backup are undone by a restore
+  live.collection('orders').delete({ item: 'book' });
+  live.collection('scratch').insert({ temp: true });
+  NoSQLite.restore(backupPath, livePath);
+  const restored = new NoSQLite(livePath);
+  assertEqual(restored.collection('orders').count(), 2, 'Documents should be restored');
+  assertEqual(restored.collection('orders').explain({ item: 'pen' }).index, 'item', 'Indexes should be restored');
+  assertEqual(restored.collection('events').count(), 1, 'Log engine collections should be restored');
+  assert(!restored.listCollections().includes('scratch'), 'Collections not in the backup should be removed');
+  assertEqual(live.collection('orders').count(), 2, 'Open databases should see the restored data');
+
+  const fromArchive = path.join(testDbPath, 'backup_archive');
+  NoSQLite.restore(archivePath, fromArchive);
+  assertEqual(new NoSQLite(fromArchive).collection('orders').findOne({ item: 'book' }).qty, 1, 'Archives should restore');
+
+  // A damaged backup fails before the live data is touched
+  fs.appendFileSync(path.join(backupPath, 'orders.json'), ' ');
+  restored.collection('orders').insert({ item: 'cup', qty: 2 });
+  expectError(() => NoSQLite.restore(backupPath, livePath), 'does not match its checksum', 'Checksums should be verified');
+  expectError(() => NoSQLite.restore(path.join(testDbPath, 'missing'), livePath), 'does not exist', 'Missing backups should fail');
+  assertEqual(new NoSQLite(livePath).collection('orders').count(), 3, 'Live data should be untouched by a failed restore');
+
+  const key = crypto.randomBytes(32);
+  const secretPath = path.join(testDbPath, 'backup_secret');
+  const secretBackup = path.join(testDbPath, 'backups', 'secret.gz');
+  new NoSQLite(secretPath, { encryptionKey: key }).collection('notes').insert({ text: 'hidden' });
+  assert(new NoSQLite(secretPath, { encryptionKey: key }).backup(secretBackup, { compress: true }).encrypted, 'Manifest should note encryption');
+  expectError(() => NoSQLite.restore(secretBackup, secretPath, { encryptionKey: crypto.randomBytes(32) }),
+    'cannot be restored', 'A wrong key should fail validation');
+  NoSQLite.restore(secretBackup, secretPath, { encryptionKey: key });
+  assertEqual(new NoSQLite(secretPath, { encryptionKey: key }).collection('notes').count(), 1, 'Encrypted backups should restore with the key');
+  passedTests++;
+});
+
+// Test 88: Command-line shell
+totalTests++;
+test('Command-line shell', () => {
+  const { spawnSync } = require('child_process');
+  const cliDbPath = path.join(testDbPath, 'cli');
+  const cli = (args, input) => spawnSync(process.execPath, [path.join(__dirname, 'cli.js'), cliDbPath, ...args], { input, encoding: 'utf8' });
+
+  const imported = cli(['import', 'users', '-', '{"format": "ndjson"}'],
+    '{"name":"Ada","age":36}\n{"name":"Alan","age":41}\n');
+  assertEqual(imported.status, 0, `Import should succeed (${imported.stderr})`);
+  assertEqual(JSON.parse(imported.stdout).insertedCount, 2, 'Import should print its report');
+
+  const found = cli(['find', 'users', '{"age": {"$gt": 40}}', '{"projection": {"name": 1, "age": 1}}']);
+  assertDeepEqual(found.stdout.trim().split('\n'), ['name | age', '-----+----', 'Alan | 41'], 'find should print a table');
+  const asJson = cli(['find', 'users', '{}', '{"sort": {"age": 1}}', '--json']);
+  assertEqual(JSON.parse(asJson.stdout)[0].name, 'Ada', '--json should print JSON');
+
+  const shell = cli([], 'update users {"name": "Ada"} {"$set": {"age": 37}}\ncount users {"age": {"$gt": 36}}\nbogus\nexit\ncount users\n');
+  assertEqual(shell.status, 0, 'The shell should exit cleanly');
+  assert(shell.stdout.includes('"modifiedCount": 1'), 'The shell should run updates');
+  assertEqual(shell.stdout.trim().split('\n').pop(), '2', 'The shell should stop at exit');
+  assert(shell.stderr.includes('Unknown command: bogus'), 'The shell should report errors and go on');
+
+  const exported = cli(['export', 'users', '-', '{"format": "csv", "projection": {"name": 1}, "sort": {"name": 1}}']);
+  assertEqual(exported.stdout, 'name\nAda\nAlan\n', 'Exports to - should go to stdout');
+  const failed = cli(['find', 'users', '{bad']);
+  assertEqual(failed.status, 1, 'Errors should set the exit code');
+  assert(failed.stderr.includes('Invalid JSON for query'), 'Errors should name the bad argument');
+
+  assertEqual(cli(['backup', path.join(testDbPath, 'backups', 'cli.gz'), '--compress']).status, 0, 'backup should succeed');
+  assertEqual(cli(['compact']).stdout.trim(), 'Compacted 1 collection(s)', 'compact should compact every collection');
+
+  // Writes keep the storage engine and field encryption of an existing database
+  const logDbPath = path.join(testDbPath, 'cli_log');
+  new NoSQLite(logDbPath, { storage: 'log' }).collection('events').insert({ type: 'click' });
+  const runOn = (dbPath, args, env, input) => spawnSync(process.execPath, [path.join(__dirname, 'cli.js'), dbPath, ...args],
+    { input, encoding: 'utf8', env: { ...process.env, ...env } });
+  assertEqual(runOn(logDbPath, ['update', 'events', '{}', '{"$set": {"seen": true}}']).status, 0, 'update should succeed on a log database');
+  assertEqual(runOn(logDbPath, ['compact']).status, 0, 'compact should succeed on a log database');
+  assertDeepEqual(fs.readdirSync(logDbPath).filter(file => !file.endsWith('.lock')).sort(), ['events.ndjson'], 'Log storage should be kept');
+  assertEqual(runOn(path.join(testDbPath, 'cli_new'), ['import', 'events', '-', '{"format": "ndjson"}', '--storage=log'], {}, '{"type":"view"}\n').status, 0,
+    '--storage should be accepted');
+  assert(fs.existsSync(path.join(testDbPath, 'cli_new', 'events.ndjson')), '--storage should choose the engine of a new database');
+
+  const fieldsDbPath = path.join(testDbPath, 'cli_fields');
+  const fieldsKey = crypto.randomBytes(32).toString('hex');
+  new NoSQLite(fieldsDbPath, { encryptionKey: fieldsKey, encryptFiles: false, encryptedFields: { members: ['ssn'] } })
+    .collection('members').insert({ name: 'Ada', ssn: '123-45-6789' });
+  const updated = runOn(fieldsDbPath, ['update', 'members', '{"name": "Ada"}', '{"$set": {"ssn": "987-65-4321"}}'], { NOSQLITE_KEY: fieldsKey });
+  assertEqual(updated.status, 0, `update should open a field-encrypted database (${updated.stderr})`);
+  const membersFile = fs.readFileSync(path.join(fieldsDbPath, 'members.json'), 'utf8');
+  assert(membersFile.includes('Ada') && !membersFile.includes('987-65-4321'), 'Fields should stay encrypted after a CLI write');
+  passedTests++;
+});
+
+// Asynchronous API tests run after the synchronous ones
+async function runAsyncTests() {
+  // Test 89: Async API writes and reads
+  totalTests++;
+  await testAsync('Async API writes and reads', async () => {
+    const asyncDb = new NoSQLite('./test_db');
+    const events = await asyncDb.collectionAsync('events');
+    const inserted = await events.insertAsync([{ type: 'click', n: 1 }, { type: 'view', n: 2 }]);
+    assertEqual(inserted.length, 2, 'Should insert documents');
+
+    const updated = await events.updateAsync({ type: 'click' }, { $inc: { n: 10 } });
+    assertEqual(updated.modifiedCount, 1, 'Should update document');
+    assertEqual((await events.findOneAsync({ type: 'click' })).n, 11, 'Should read the update');
+    assertEqual(await events.countAsync({ n: { $gt: 1 } }), 2, 'Should count with the same query semantics');
+
+    const deleted = await events.deleteAsync({ type: 'view' });
+    assertEqual(deleted.deletedCount, 1, 'Should delete document');
+
+    const onDisk = JSON.parse(fs.readFileSync(events.filePath, 'utf8'));
+    assertDeepEqual(onDisk.map(doc => doc.n), [11], 'Changes should be on disk once the promise resolves');
+    assertEqual(await asyncDb.collectionAsync('events'), events, 'Should return the cached collection');
+    passedTests++;
+  });
+
+  // Test 90: Async writes close together share one save
+  totalTests++;
+  await testAsync('Async writes close together share one save', async () => {
+    const asyncDb = new NoSQLite('./test_db', { saveDelay: 20 });
+    const metrics = await asyncDb.collectionAsync('metrics');
+    let saves = 0;
+    const writeAsync = metrics._writeAsync.bind(metrics);
+    metrics._writeAsync = () => {
+      saves++;
+      return writeAsync();
+    };
+
+    await Promise.all([
+      metrics.insertAsync({ v: 1 }),
+      metrics.insertAsync({ v: 2 }),
+      metrics.updateAsync({ v: 1 }, { $set: { v: 3 } })
+    ]);
+    assertEqual(saves, 1, 'Three writes should be saved once');
+    assertEqual(JSON.parse(fs.readFileSync(metrics.filePath, 'utf8')).length, 2, 'Saved file should hold both documents');
+
+    metrics.insertAsync({ v: 4 });
+    await asyncDb.flush();
+    assertEqual(JSON.parse(fs.readFileSync(metrics.filePath, 'utf8')).length, 3, 'flush() should wait for pending saves');
+    passedTests++;
+  });
+
+  // Test 91: Async errors reject without saving
+  totalTests++;
+  await testAsync('Async errors reject without saving', async () => {
+    const asyncDb = new NoSQLite('./test_db');
+    const metrics = await asyncDb.collectionAsync('metrics');
+    let rejected = false;
+    try {
+      await metrics.updateAsync({ v: 3 }, { $bogus: {} });
+    } catch (error) {
+      rejected = error.message.includes('Unknown update operator');
+    }
+    assert(rejected, 'Invalid update should reject');
+
+    fs.writeFileSync(path.join(testDbPath, 'broken_async.json'), '{not json');
+    rejected = false;
+    try {
+      await asyncDb.collectionAsync('broken_async');
+    } catch (error) {
+      rejected = error.message.includes('corrupted');
+    }
+    assert(rejected, 'Corrupted file should reject');
+    fs.unlinkSync(path.join(testDbPath, 'broken_async.json'));
+    passedTests++;
+  });
+
+  // Test 92: Concurrent processes do not lose writes
+  totalTests++;
+  await testAsync('Concurrent processes do not lose writes', async () => {
+    const { spawn } = require('child_process');
+    const script = `
+      const NoSQLite = require(${JSON.stringify(path.resolve(__dirname, 'NosqLite'))});
+      const counters = new NoSQLite(${JSON.stringify(testDbPath)}).collection('multi_process');
+      for (let i = 0; i < 25; i++) {
+        counters.insert({ worker: process.argv[1], i });
+        counters.update({ name: 'total' }, { $inc: { value: 1 } }, { upsert: true });
+      }
+    `;
+    const workers = [1, 2, 3].map(n => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['-e', script, String(n)], { stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`Worker exited with ${code}`))));
+    }));
+    await Promise.all(workers);
+
+    const counters = new NoSQLite('./test_db').collection('multi_process');
+    assertEqual(counters.count({ worker: { $exists: true } }), 75, 'Every insert should be kept');
+    assertEqual(counters.findOne({ name: 'total' }).value, 75, 'Every increment should be kept');
+    passedTests++;
+  });
+
+  // Test 93: Change streams are async iterable
+  totalTests++;
+  await testAsync('Change streams are async iterable', async () => {
+    const streamDb = new NoSQLite('./test_db');
+    const feed = await streamDb.collectionAsync('feed');
+    const stream = feed.watch();
+    setTimeout(() => {
+      feed.insertAsync({ n: 1 });
+      feed.insertAsync({ n: 2 });
+    }, 0);
+
+    const received = [];
+    for await (const change of stream) {
+      received.push(change.fullDocument.n);
+      if (received.length === 2) break;
+    }
+    assertDeepEqual(received, [1, 2], 'Iteration should yield changes in order');
+    assert(stream.closed, 'Breaking out of the loop should close the stream');
+    await streamDb.flush();
+    passedTests++;
+  });
+
+  // Test 94: Cursors work with for await
+  totalTests++;
+  await testAsync('Cursors work with for await', async () => {
+    const readings = await new NoSQLite('./test_db').collectionAsync('readings');
+    let total = 0;
+    for await (const doc of readings.find({ sensor: 'a' }, { cursor: true })) {
+      total += doc.value;
+    }
+    assertEqual(total, 600, 'for await should visit every match');
+    passedTests++;
+  });
+
+  // Test 95: Expired documents are deleted on a timer
+  totalTests++;
+  await testAsync('Expired documents are deleted on a timer', async () => {
+    const ttlDb = new NoSQLite('./test_db', { ttlInterval: 20 });
+    const tokens = await ttlDb.collectionAsync('tokens');
+    tokens.createIndex('_createdAt', { expireAfterSeconds: 0.05 });
+    tokens.insert([{ token: 'a' }, { token: 'b' }]);
+    assertEqual(tokens.count(), 2, 'Fresh documents should be visible');
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assertEqual(tokens.documents.length, 0, 'The timer should delete expired documents');
+    assert(!fs.readFileSync(path.join('./test_db', 'tokens.json'), 'utf8').includes('"a"'), 'Deletion should be saved');
+    await ttlDb.closeAsync();
+    passedTests++;
+  });
+
+  // Test 96: Import and export in JSON, NDJSON and CSV
+  totalTests++;
+  await testAsync('Import and export in JSON, NDJSON and CSV', async () => {
+    const exportDir = path.join(testDbPath, 'exports');
+    fs.mkdirSync(exportDir, { recursive: true });
+    const people = new NoSQLite(':memory:').collection('people');
+    people.insert([
+      { name: 'Ada', age: 36, address: { city: 'London', zip: '01234' }, tags: ['math', 'code'], joined: new Date('2020-01-01') },
+      { name: 'Alan, Jr.', age: 41, address: { city: 'Wilmslow' }, note: 'said "hi"' },
+      { name: 'Grace', age: 85, active: true }
+    ]);
+
+    for (const format of ['json', 'ndjson']) {
+      const file = path.join(exportDir, `people.${format}`);
+      assertEqual((await people.export(file)).exportedCount, 3, `${format}: Every document should be exported`);
+      const copy = new NoSQLite(':memory:').collection('people');
+      const report = await copy.import(file);
+      assertEqual(report.insertedCount, 3, `${format}: Every row should be imported`);
+      const ada = copy.findOne({ name: 'Ada' });
+      assertEqual(ada._id, people.findOne({ name: 'Ada' })._id, `${format}: _id should be kept`);
+      assert(ada.joined instanceof Date, `${format}: Dates should survive`);
+    }
+
+    const csvFile = path.join(exportDir, 'people.csv');
+    await people.export(csvFile, { query: { age: { $gte: 40 } }, projection: { name: 1, age: 1, address: 1, note: 1 }, sort: { age: 1 } });
+    const csv = fs.readFileSync(csvFile, 'utf8').split('\n');
+    assertEqual(csv[0], 'name,age,address.city,note', 'CSV columns should be dot paths');
+    assertEqual(csv[1], '"Alan, Jr.",41,Wilmslow,"said ""hi"""', 'CSV fields should be quoted when needed');
+    await people.export(csvFile);
+    const fromCsv = new NoSQLite(':memory:').collection('people');
+    await fromCsv.import(csvFile);
+    const ada = fromCsv.findOne({ name: 'Ada' });
+    assertEqual(ada.age, 36, 'Numbers should be read back as numbers');
+    assertEqual(ada.address.zip, '01234', 'Quoted numeric strings should stay strings');
+    assertDeepEqual(ada.tags, ['math', 'code'], 'Arrays should be read back');
+    assertEqual(fromCsv.findOne({ name: 'Grace' }).active, true, 'Booleans should be read back');
+
+    // Strings that look like JSON, numbers or the array marker stay strings
+    const tricky = new NoSQLite(':memory:').collection('tricky');
+    const values = { list: '[1,2]', object: '{"a":1}', marker: '$json:[1]', escaped: '$$json:{}', flag: 'true', number: '42', empty: '' };
+    tricky.insert({ ...values, array: [1, { b: 2 }], nested: { tags: ['x'] } });
+    const trickyFile = path.join(exportDir, 'tricky.csv');
+    await tricky.export(trickyFile, { projection: { list: 1, object: 1, marker: 1, escaped: 1, flag: 1, number: 1, empty: 1, array: 1, nested: 1 } });
+    assert(fs.readFileSync(trickyFile, 'utf8').includes('"$json:[1,{""b"":2}]"'), 'Arrays should be written after the marker');
+    const trickyCopy = new NoSQLite(':memory:').collection('tricky');
+    assertEqual((await trickyCopy.import(trickyFile)).errors.length, 0, 'The round trip should import cleanly');
+    const roundTripped = trickyCopy.findOne({});
+    Object.keys(values).forEach(field => {
+      assertEqual(roundTripped[field], values[field], `${field} should stay the string ${JSON.stringify(values[field])}`);
+    });
+    assertDeepEqual(roundTripped.array, [1, { b: 2 }], 'Arrays should round trip');
+    assertDeepEqual(roundTripped.nested.tags, ['x'], 'Nested arrays should round trip');
+
+    // Per-row errors, unique indexes and upserts
+    const members = new NoSQLite(':memory:').collection('members');
+    members.createIndex('email', { unique: true });
+    members.insert({ email: 'a@example.com', plan: 'free' });
+    const input = path.join(exportDir, 'members.csv');
+    fs.writeFileSync(input, 'email,plan\nb@example.com,pro\na@example.com,pro\nc@example.com,"pro\nplus"\nb@example.com,team\n');
+    const inserted = await members.import(input);
+    assertEqual(inserted.insertedCount, 2, 'Valid rows should be inserted');
+    assertDeepEqual(inserted.errors.map(error => error.row), [2, 4], 'Duplicate rows should be reported by row');
+    assert(inserted.errors[0].error.includes('Duplicate key'), 'The error should say why the row failed');
+    assertEqual(members.findOne({ email: 'c@example.com' }).plan, 'pro\nplus', 'Quoted fields may span lines');
+
+    const { PassThrough } = require('stream');
+    const stream = new PassThrough();
+    stream.end('{"email":"a@example.com","plan":"team"}\nnot json\n{"email":"d@example.com","plan":"free"}\n{"plan":"none"}\n');
+    const upserted = await members.import(stream, { format: 'ndjson', mode: 'upsert', upsertKey: 'email' });
+    assertEqual(upserted.updatedCount, 1, 'Existing documents should be updated');
+    assertEqual(upserted.insertedCount, 1, 'New documents should be inserted');
+    assertDeepEqual(upserted.errors.map(error => error.row), [2, 4], 'Bad JSON and missing keys should be reported');
+    assertEqual(members.findOne({ email: 'a@example.com' }).plan, 'team', 'Upserts should update fields');
+
+    const out = new PassThrough();
+    const written = [];
+    out.on('data', chunk => written.push(chunk.toString()));
+    await members.export(out, { format: 'ndjson', query: { plan: 'free' } });
+    assertEqual(written.join('').trim().split('\n').length, 1, 'Exports should write to streams');
+
+    let message = '';
+    try {
+      await members.export(out, { format: 'xml' });
+    } catch (error) {
+      message = error.message;
+    }
+    assert(message.includes('Unknown format'), 'Unknown formats should be rejected');
+    passedTests++;
+  });
+
+  // Test 97: REST server over a database
+  totalTests++;
+  await testAsync('REST server over a database', async () => {
+    const http = require('http');
+    const { createServer } = require('./server');
+    const apiDb = new NoSQLite(':memory:');
+    apiDb.collection('audit').insert({ event: 'boot' });
+    const server = createServer(apiDb, { token: 'secret', readOnly: ['audit'], maxBodySize: 200 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const request = (method, urlPath, body, token = 'secret') => new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method,
+        path: urlPath,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+      });
+      req.on('error', reject);
+      req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+    const param = value => encodeURIComponent(JSON.stringify(value));
+
+    try {
+      assertEqual((await request('GET', '/collections', undefined, null)).status, 401, 'Requests without the token should be rejected');
+      assertEqual((await request('GET', '/collections', undefined, 'wrong')).status, 401, 'A wrong token should be rejected');
+
+      const created = await request('POST', '/collections/users', [{ name: 'Ada', age: 36 }, { name: 'Alan', age: 41 }, { name: 'Grace', age: 85 }]);
+      assertEqual(created.status, 201, 'POST should create documents');
+      const adaId = created.body[0]._id;
+
+      const found = await request('GET', `/collections/users?query=${param({ age: { $gt: 40 } })}&sort=${param({ age: -1 })}&limit=1`);
+      assertDeepEqual(found.body.map(doc => doc.name), ['Grace'], 'GET should pass query, sort and limit to find');
+      assertEqual((await request('GET', `/collections/users/${adaId}`)).body.name, 'Ada', 'GET by id should return the document');
+      assertEqual((await request('GET', '/collections/users/missing')).status, 404, 'Unknown ids should be 404');
+
+      const patched = await request('PATCH', `/collections/users/${adaId}`, { $inc: { age: 1 } });
+      assertEqual(patched.body.age, 37, 'PATCH by id should return the updated document');
+      const many = await request('PATCH', `/collections/users?query=${param({ age: { $gt: 40 } })}`, { $set: { senior: true } });
+      assertEqual(many.body.modifiedCount, 2, 'PATCH on a collection should update matches');
+      assertEqual((await request('DELETE', '/collections/users')).status, 400, 'DELETE on a collection needs a query');
+      assertEqual((await request('DELETE', `/collections/users/${adaId}`)).body.deletedCount, 1, 'DELETE by id should delete');
+      assertEqual(apiDb.collection('users').count(), 2, 'Changes should reach the database');
+
+      assertEqual((await request('POST', '/collections/audit', { event: 'hack' })).status, 403, 'Read-only collections should reject writes');
+      assertEqual((await request('GET', '/collections/audit')).body.length, 1, 'Read-only collections should still be readable');
+      assertEqual((await request('GET', `/collections/users?query=${encodeURIComponent('{bad')}`)).status, 400, 'Bad JSON should be 400');
+      assertEqual((await request('POST', '/collections/users', { text: 'x'.repeat(300) })).status, 413, 'Large bodies should be rejected');
+      assertEqual((await request('GET', '/collections/..%2Fescape')).status, 400, 'Unsafe collection names should be rejected');
+      const shadow = await request('POST', '/collections/users.meta', { indexes: [] });
+      assertEqual(shadow.status, 400, 'Names that map onto another collection\'s files should be rejected');
+      assert(shadow.body.error.includes('cannot end in .meta'), 'The error should explain the rejected name');
+      assert(!apiDb.adapter.list().includes('users.meta.json'), 'No file should be written for a rejected name');
+      const journal = await request('POST', '/collections/nosqlite.journal', { event: 'x' });
+      assertEqual(journal.status, 400, 'Names that collide with the journal should be rejected');
+      assert(journal.body.error.includes('cannot start with nosqlite.'), 'The error should explain the reserved prefix');
+      for (const name of ['users.meta.json', 'users.ndjson', 'users.json', 'nosqlite.journal', 'nosqlite.tmp']) {
+        let rejected = false;
+        try {
+          apiDb.collection(name);
+        } catch (error) {
+          rejected = error.message.startsWith('Invalid collection name');
+        }
+        assert(rejected, `collection() should reject ${name}`);
+      }
+      assertEqual((await request('GET', '/other')).status, 404, 'Unknown routes should be 404');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+    passedTests++;
+  });
 }
-log('='.repeat(50) + '\n', 'cyan');
-
-if (passedTests === totalTests) {
-  log('🎉 All tests passed!', 'green');
-  process.exit(0);
-} else {
-  log(`⚠️  ${totalTests - passedTests} test(s) failed`, 'red');
-  process.exit(1);
+
+function printSummary() {
+  log('\n' + '='.repeat(50), 'cyan');
+  log(`\n📊 Test Results: ${passedTests}/${totalTests} tests passed`, passedTests === totalTests ? 'green' : 'yellow');
+  if (totalTests > 40) {
+    log(`   (Including $unset operator test)`, 'cyan');
+  }
+  log('='.repeat(50) + '\n', 'cyan');
+
+  if (passedTests === totalTests) {
+    log('🎉 All tests passed!', 'green');
+    process.exit(0);
+  } else {
+    log(`⚠️  ${totalTests - passedTests} test(s) failed`, 'red');
+    process.exit(1);
+  }
 }
+
+runAsyncTests().then(printSummary);